@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { run } from '../src/cli.js'
+
+const { stdin, stdout, stderr } = process
+process.exitCode = await run(process.argv.slice(2), { stdin, stdout, stderr })
@@ -1,225 +1,295 @@
-import { useCallback, useEffect, useRef, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import './App.css'
+import ComparePanel from './ComparePanel'
+import ByteInspector from './ByteInspector'
+import { buildDifferenceData, compareImages } from './compare'
+import FilterPanel from './FilterPanel'
+import { applyFilterPipeline, createFilterStep, getFilter, parseKernel } from './filters'
+import FrameControls from './FrameControls'
+import { createPatternImage } from './generators'
+import NewImageDialog from './NewImageDialog'
+import SessionStrip from './SessionStrip'
+import { forEachLinePixel, getNextPinLabel } from './measure'
+import MeasurePanel from './MeasurePanel'
+import PixelNeighborhood from './PixelNeighborhood'
+import { createShareHash, isShareHash, loadSession, readShareHash, saveSession } from './persistence'
+import StatsPanel from './StatsPanel'
+import ToneMappingPanel from './ToneMappingPanel'
+import TransformPanel from './TransformPanel'
+import { cropImage, flipImage, padImage, resizeImage, rotateImage } from './transforms'
+import { applyViewMode, isViewModeAvailable, VIEW_MODES } from './viewModes'
+import {
+  buildDisplayData,
+  clampSample,
+  createParseIssue,
+  describeFormat,
+  encodeNetpbm,
+  findTokenAt,
+  formatFloatSample,
+  generateNetpbmText,
+  getEditableFormat,
+  getTextSampleCount,
+  hasAlphaDepth,
+  highlightNetpbmText,
+  indexNetpbmTextTokens,
+  isBitmapFormat,
+  isColorDepth,
+  isNetpbmMagic,
+  NetpbmParseError,
+  parseNetpbmText,
+  replaceSampleTokens,
+  toneMapFloat,
+  updateDisplayPixel,
+} from './netpbm'
 
-const NETPBM_MAGIC_SET = new Set(['P2', 'P3', 'P5', 'P6'])
-const WHITESPACE_CODES = new Set([9, 10, 13, 32])
-
-const normalizeSample = (value, maxVal) => {
-  if (maxVal <= 0) {
-    throw new Error('Max value must be greater than zero')
+// Converts a 1-based line/column issue location into a [start, end) character range of the text.
+const getIssueRange = (text, { line, column, token }) => {
+  let lineStart = 0
+  for (let current = 1; current < line; current += 1) {
+    const next = text.indexOf('\n', lineStart)
+    if (next === -1) break
+    lineStart = next + 1
   }
-  if (maxVal === 255) return value
-  return Math.round((value / maxVal) * 255)
+  const start = Math.min(lineStart + column - 1, Math.max(0, text.length - 1))
+  return [start, Math.min(text.length, start + Math.max(1, token?.length ?? 1))]
 }
 
-// Minimal Netpbm parser supporting P2/P3 (ASCII) and P5/P6 (binary) variants.
-const parseNetpbm = (buffer) => {
-  const bytes = new Uint8Array(buffer)
-  if (bytes.length < 3) {
-    throw new Error('File is too small to be a valid Netpbm image')
-  }
+// The image's own comments come along so regenerated text can keep them.
+const pickNetpbmImage = ({
+  format,
+  width,
+  height,
+  depth,
+  tupleType,
+  samples,
+  data,
+  maxVal,
+  sourceMaxVal,
+  warnings,
+  comments = [],
+}) => ({
+  format,
+  width,
+  height,
+  depth,
+  tupleType,
+  samples,
+  data,
+  maxVal,
+  sourceMaxVal,
+  warnings,
+  comments,
+})
 
-  const magic = String.fromCharCode(bytes[0]) + String.fromCharCode(bytes[1])
-  if (!NETPBM_MAGIC_SET.has(magic)) {
-    return null
-  }
+// PFM images become 'float' targets: their samples are 32-bit floats and `data` is tone-mapped
+// from them with the target's exposure and operator.
+const pickFloatImage = ({ format, width, height, depth, samples, data, scale, littleEndian, warnings }) => ({
+  format,
+  width,
+  height,
+  depth,
+  samples,
+  data,
+  scale,
+  littleEndian,
+  warnings,
+})
 
-  let index = 2
-  const decoder = new TextDecoder('ascii')
+// Netpbm and float targets are decoded in JavaScript and drawn on a canvas; standard ones use <img>.
+const isPixelTarget = (target) => target?.kind === 'netpbm' || target?.kind === 'float'
 
-  const skipWhitespaceAndComments = () => {
-    while (index < bytes.length) {
-      const code = bytes[index]
-      if (WHITESPACE_CODES.has(code)) {
-        index += 1
-        continue
-      }
-      if (code === 35) {
-        while (index < bytes.length && bytes[index] !== 10 && bytes[index] !== 13) {
-          index += 1
-        }
-        continue
-      }
-      break
-    }
-  }
+// Values a pin shows: 8-bit RGB from the displayed pixels plus, for Netpbm and float images, the
+// stored samples. Null when the pixel lies outside the image.
+const getPixelReadout = (target, pixels, { x, y }) => {
+  if (!pixels || x >= pixels.width || y >= pixels.height) return null
+  const base = (y * pixels.width + x) * 4
+  const rgb = Array.from(pixels.data.subarray(base, base + 3))
+  if (!isPixelTarget(target)) return { rgb, raw: null }
+  const sampleBase = (y * target.width + x) * target.depth
+  const samples = Array.from(target.samples.subarray(sampleBase, sampleBase + target.depth))
+  const raw =
+    target.kind === 'float'
+      ? `Float ${samples.map(formatFloatSample).join(', ')}`
+      : `Raw ${samples.join(', ')} / ${target.sourceMaxVal}`
+  return { rgb, raw }
+}
 
-  const skipHeaderSeparator = () => {
-    while (index < bytes.length) {
-      const code = bytes[index]
-      if (WHITESPACE_CODES.has(code)) {
-        index += 1
-        continue
-      }
-      if (code === 35) {
-        let lookahead = index + 1
-        let sawNewline = false
-        let isComment = true
-        while (lookahead < bytes.length) {
-          const la = bytes[lookahead]
-          if (la === 10 || la === 13) {
-            sawNewline = true
-            break
-          }
-          if (la !== 9 && (la < 32 || la > 126)) {
-            isComment = false
-            break
-          }
-          lookahead += 1
-        }
-        if (isComment && sawNewline) {
-          index = lookahead + 1
-          continue
-        }
-      }
-      break
-    }
+// Converts a color input (for color images) or a typed gray value into samples at the image's max value.
+const getColorSamples = (target, color, value) => {
+  if (isColorDepth(target.depth)) {
+    const hex = color.replace('#', '')
+    return [0, 2, 4].map((offset) => Math.round((Number.parseInt(hex.slice(offset, offset + 2), 16) / 255) * target.sourceMaxVal))
   }
+  const gray = Number.parseInt(value, 10)
+  return [clampSample(Number.isFinite(gray) ? gray : 0, target.sourceMaxVal)]
+}
 
-  const readToken = () => {
-    skipWhitespaceAndComments()
-    if (index >= bytes.length) return null
-    const start = index
-    while (index < bytes.length) {
-      const code = bytes[index]
-      if (WHITESPACE_CODES.has(code) || code === 35) break
-      index += 1
-    }
-    return decoder.decode(bytes.subarray(start, index))
-  }
+// Frames of a multi-image stream keep where they sit in the file for the frame details.
+const pickNetpbmFrame = (frame) => ({ ...pickNetpbmImage(frame), offset: frame.offset, byteLength: frame.byteLength })
 
-  const widthToken = readToken()
-  const heightToken = readToken()
-  const maxValToken = readToken()
-  if (!widthToken || !heightToken || !maxValToken) {
-    throw new Error('Header is incomplete or malformed')
-  }
+const EXPORT_FORMATS = [
+  { value: 'P1', label: 'P1 · ASCII bitmap', extension: 'pbm' },
+  { value: 'P2', label: 'P2 · ASCII graymap', extension: 'pgm' },
+  { value: 'P3', label: 'P3 · ASCII pixmap', extension: 'ppm' },
+  { value: 'P4', label: 'P4 · binary bitmap', extension: 'pbm', stream: true },
+  { value: 'P5', label: 'P5 · binary graymap', extension: 'pgm', stream: true },
+  { value: 'P6', label: 'P6 · binary pixmap', extension: 'ppm', stream: true },
+  { value: 'P7', label: 'P7 · PAM', extension: 'pam', stream: true },
+  { value: 'PNG', label: 'PNG', extension: 'png' },
+]
+const ZOOM_PRESETS = [1, 2, 4, 8, 16, 32]
+const MIN_ZOOM = 0.05
+const MAX_ZOOM = 64
+// Pixel cursor moves per arrow key; Shift multiplies the step by 10 and Ctrl or Cmd by 100.
+const CURSOR_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }
+// Below this magnification grid lines would cover most of each pixel.
+const GRID_MIN_ZOOM = 8
+// Keep at least this many pixels of the image inside the viewport while panning.
+const PAN_MARGIN = 32
+// Pointer travel (px) below which a press on the stage counts as a click instead of a pan.
+const CLICK_SLOP = 3
 
-  const width = Number.parseInt(widthToken, 10)
-  const height = Number.parseInt(heightToken, 10)
-  const headerMaxVal = Number.parseInt(maxValToken, 10)
-  if (!Number.isFinite(width) || !Number.isFinite(height) || !Number.isFinite(headerMaxVal)) {
-    throw new Error('Width, height, or max value is not a valid number')
-  }
-  if (headerMaxVal <= 0) {
-    throw new Error('Max value must be greater than zero')
-  }
+// Above this many text samples the editor shows a truncated, read-only text view.
+const TEXT_SAMPLE_LIMIT = 250000
+// Longer text is shown without syntax highlighting to keep typing responsive.
+const HIGHLIGHT_TEXT_LIMIT = 1000000
+const DEFAULT_TEXT_FORMAT = { rowPerLine: false, groupPixels: false, alignColumns: false, comments: true }
+const DECODE_PHASE_LABELS = {
+  read: 'Reading',
+  parse: 'Decoding',
+  text: 'Generating text for',
+}
 
-  const isColor = magic === 'P3' || magic === 'P6'
-  const channelCount = isColor ? 3 : 1
-  const sampleCount = width * height * channelCount
-  const samples = new Uint8ClampedArray(sampleCount)
-
-  if (magic === 'P2' || magic === 'P3') {
-    for (let i = 0; i < sampleCount; i += 1) {
-      const token = readToken()
-      if (token === null) {
-        throw new Error('Unexpected end of file while reading pixel data')
-      }
-      const rawValue = Number.parseInt(token, 10)
-      if (!Number.isFinite(rawValue)) {
-        throw new Error('Encountered a non-numeric value in pixel data')
-      }
-      samples[i] = normalizeSample(rawValue, headerMaxVal)
-    }
-  } else {
-    skipHeaderSeparator()
-    const bytesPerSample = headerMaxVal > 255 ? 2 : 1
-    const neededLength = sampleCount * bytesPerSample
-    if (bytes.length - index < neededLength) {
-      throw new Error('Pixel data is shorter than expected')
-    }
-    let readOffset = 0
-    const pixelBytes = bytes.subarray(index, index + neededLength)
-    for (let i = 0; i < sampleCount; i += 1) {
-      let rawValue
-      if (bytesPerSample === 1) {
-        rawValue = pixelBytes[readOffset]
-        readOffset += 1
-      } else {
-        rawValue = (pixelBytes[readOffset] << 8) + pixelBytes[readOffset + 1]
-        readOffset += 2
-      }
-      samples[i] = normalizeSample(rawValue, headerMaxVal)
-    }
-  }
+const HISTORY_LIMIT = 50
+// Keystrokes closer together than this are folded into a single history entry.
+const TEXT_EDIT_COALESCE_MS = 1000
 
-  const rgba = new Uint8ClampedArray(width * height * 4)
-  for (let i = 0, sampleIndex = 0; i < width * height; i += 1) {
-    const base = i * 4
-    if (isColor) {
-      rgba[base] = samples[sampleIndex]
-      rgba[base + 1] = samples[sampleIndex + 1]
-      rgba[base + 2] = samples[sampleIndex + 2]
-      sampleIndex += 3
-    } else {
-      const gray = samples[sampleIndex]
-      rgba[base] = gray
-      rgba[base + 1] = gray
-      rgba[base + 2] = gray
-      sampleIndex += 1
-    }
-    rgba[base + 3] = 255
-  }
+const getSelectionRect = (anchor, point) => ({
+  x: Math.min(anchor.x, point.x),
+  y: Math.min(anchor.y, point.y),
+  width: Math.abs(point.x - anchor.x) + 1,
+  height: Math.abs(point.y - anchor.y) + 1,
+})
 
-  return {
-    format: magic,
-    width,
-    height,
-    maxVal: 255,
-    sourceMaxVal: headerMaxVal,
-    data: rgba,
-  }
+// The comparison image's values at a coordinate, or null when it does not cover that pixel.
+const getComparePixel = (target, x, y) => {
+  if (x >= target.width || y >= target.height) return null
+  const pixel = y * target.width + x
+  const rgb = Array.from(target.data.subarray(pixel * 4, pixel * 4 + 3))
+  if (target.kind !== 'netpbm') return { rgb }
+  const { samples, depth } = target
+  return { rgb, raw: Array.from(samples.subarray(pixel * depth, pixel * depth + depth)) }
 }
 
-const generateNetpbmText = ({ format, width, height, data, sourceMaxVal }) => {
-  const isColor = format === 'P3' || format === 'P6'
-  const asciiFormat = isColor ? 'P3' : 'P2'
-  const lines = [`${asciiFormat}`]
-
-  const sourceDescriptor = format === 'P5' || format === 'P6' ? 'binary Netpbm' : 'ASCII Netpbm'
-  lines.push(`# Source format: ${format} (${sourceDescriptor})`)
-  if (sourceMaxVal && sourceMaxVal !== 255) {
-    lines.push(`# Original max value: ${sourceMaxVal} — normalized to 255 for display`)
-  } else {
-    lines.push(`# Max value: 255`)
-  }
+const THUMBNAIL_SIZE = 64
+const FIT_VIEW = { mode: 'fit', zoom: 1, x: 0, y: 0 }
+const SESSION_VERSION = 2
+const AUTOSAVE_DELAY_MS = 1000
+// Filter edits reach the stage preview after this pause, so dragging a slider does not rerun
+// neighbourhood filters at every step.
+const FILTER_PREVIEW_DELAY_MS = 250
+// Longer URLs are cut off by some chat and mail clients.
+const SHARE_URL_LIMIT = 8000
 
-  lines.push(`${width} ${height}`)
-  lines.push('255')
+// Per-image state saved in each image's own record; an autosave rewrites the record once one of
+// these changes. View, pins and measure line are small and saved with the session every time.
+const PERSISTED_IMAGE_FIELDS = ['renderTarget', 'netpbmText', 'netpbmTextError', 'netpbmTextErrorLocation']
 
-  const tokens = []
-  const totalPixels = width * height
-  for (let i = 0; i < totalPixels; i += 1) {
-    const base = i * 4
-    if (isColor) {
-      tokens.push(String(data[base]))
-      tokens.push(String(data[base + 1]))
-      tokens.push(String(data[base + 2]))
-    } else {
-      tokens.push(String(data[base]))
-    }
-  }
+// Saved sessions drop the RGBA display buffers and object URLs; both are rebuilt on restore.
+const serializeTarget = (target) =>
+  target.kind === 'standard'
+    ? { ...target, url: null }
+    : { ...target, data: null, frames: target.frames?.map((frame) => ({ ...frame, data: null })) ?? null }
 
-  const chunkSize = isColor ? 12 : 20
-  for (let i = 0; i < tokens.length; i += chunkSize) {
-    lines.push(tokens.slice(i, i + chunkSize).join(' '))
-  }
+const restoreFloatTarget = (saved) => ({ ...saved, data: toneMapFloat(saved, saved) })
+
+const restoreNetpbmTarget = (saved) => ({
+  ...saved,
+  data: buildDisplayData(saved),
+  frames: saved.frames?.map((frame) => ({ ...frame, data: buildDisplayData(frame) })) ?? null,
+})
 
-  return lines.join('\n')
+// Renders a decoded image into a small PNG data URL for the session strip.
+const createThumbnail = ({ data, width, height }) => {
+  const source = document.createElement('canvas')
+  source.width = width
+  source.height = height
+  source.getContext('2d')?.putImageData(new ImageData(data, width, height), 0, 0)
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height))
+  const thumbnail = document.createElement('canvas')
+  thumbnail.width = Math.max(1, Math.round(width * scale))
+  thumbnail.height = Math.max(1, Math.round(height * scale))
+  thumbnail.getContext('2d')?.drawImage(source, 0, 0, thumbnail.width, thumbnail.height)
+  return thumbnail.toDataURL()
 }
 
-const parseNetpbmText = (text) => {
-  const encoder = new TextEncoder()
-  const buffer = encoder.encode(text).buffer
-  const parsed = parseNetpbm(buffer)
-  if (!parsed) {
-    throw new Error('Input is not a valid Netpbm file')
+const readEntryFiles = async (entry) => {
+  if (entry.name.startsWith('.')) return []
+  if (entry.isFile) return [await new Promise((resolve, reject) => entry.file(resolve, reject))]
+  if (!entry.isDirectory) return []
+  const reader = entry.createReader()
+  const children = []
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    if (!batch.length) break
+    children.push(...batch)
   }
-  if (parsed.format !== 'P2' && parsed.format !== 'P3') {
-    throw new Error(`Editable representation requires P2 or P3 format, received ${parsed.format}`)
+  children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+  return (await Promise.all(children.map(readEntryFiles))).flat()
+}
+
+// Expands dropped folders into their files in natural name order, so frame_2 comes before frame_10.
+// Entries must be taken from the DataTransfer synchronously, before the drop event returns.
+const getDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer?.items ?? [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+  if (!entries.length) return Array.from(dataTransfer?.files ?? [])
+  return (await Promise.all(entries.map(readEntryFiles))).flat()
+}
+
+const clampZoom = (value) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, value))
+
+// Starts a one-off decoder worker. cancel() terminates it, which also stops a parse in progress.
+const runNetpbmWorker = (message, onProgress) => {
+  const worker = new Worker(new URL('./netpbmWorker.js', import.meta.url), { type: 'module' })
+  let rejectJob
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data)
+        return
+      }
+      worker.terminate()
+      if (data.type === 'error') {
+        reject(data.issue ? new NetpbmParseError(data.issue.reason, data.issue) : new Error(data.message))
+      } else {
+        resolve(data)
+      }
+    }
+    worker.onerror = (event) => {
+      worker.terminate()
+      reject(new Error(event.message || 'The decoder worker failed'))
+    }
+  })
+  worker.postMessage(message)
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate()
+      rejectJob(new DOMException('Decoding was cancelled', 'AbortError'))
+    },
   }
-  return parsed
+}
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
 }
 
 function App() {
@@ -231,113 +301,871 @@ function App() {
   const [tooltip, setTooltip] = useState(null)
   const [netpbmText, setNetpbmText] = useState('')
   const [netpbmTextError, setNetpbmTextError] = useState('')
-  const objectUrlRef = useRef(null)
+  const [exportFormat, setExportFormat] = useState('P6')
+  const [exportMaxVal, setExportMaxVal] = useState('')
+  const [exportError, setExportError] = useState('')
+  const objectUrlsRef = useRef(new Set())
+  const historyRef = useRef({ entries: [], index: -1 })
+  const historyIdRef = useRef(0)
+  const [history, setHistory] = useState(historyRef.current)
   const canvasRef = useRef(null)
   const analysisCanvasRef = useRef(null)
   const stageRef = useRef(null)
+  const viewportRef = useRef(null)
+  const viewLayoutRef = useRef(null)
+  const panDragRef = useRef(null)
+  const [view, setView] = useState({ mode: 'fit', zoom: 1, x: 0, y: 0 })
+  const [viewportSize, setViewportSize] = useState({ width: 0, height: 0 })
+  const [isPanning, setIsPanning] = useState(false)
+  const [showPixelGrid, setShowPixelGrid] = useState(true)
+  const [viewMode, setViewMode] = useState('normal')
+  const [tintChannel, setTintChannel] = useState(false)
+  const [showCheckerboard, setShowCheckerboard] = useState(true)
+  const [compareTarget, setCompareTarget] = useState(null)
+  const [compareView, setCompareView] = useState('off')
+  const [compareSwipe, setCompareSwipe] = useState(50)
+  const [compareAmplification, setCompareAmplification] = useState(4)
+  const [isCompareLoading, setIsCompareLoading] = useState(false)
+  const [compareError, setCompareError] = useState('')
+  const compareCanvasRef = useRef(null)
+  const [tool, setTool] = useState('inspect')
+  const [textFormat, setTextFormat] = useState(DEFAULT_TEXT_FORMAT)
+  // Read by decodeFile so that changing the format does not recreate the loading callbacks.
+  const textFormatRef = useRef(textFormat)
+  textFormatRef.current = textFormat
+  const [pins, setPins] = useState([])
+  const [measureLine, setMeasureLine] = useState(null)
+  const measureDragRef = useRef(null)
+  const [paintColor, setPaintColor] = useState('#ff0000')
+  const [paintValue, setPaintValue] = useState('0')
+  const [highlightedPixel, setHighlightedPixel] = useState(null)
+  const [pixelCursor, setPixelCursor] = useState(null)
+  const [neighborhoodSize, setNeighborhoodSize] = useState(5)
+  const [neighborhoodChannel, setNeighborhoodChannel] = useState(0)
+  const [sessionImages, setSessionImages] = useState([])
+  const [activeImageId, setActiveImageId] = useState(null)
+  const activeImageIdRef = useRef(null)
+  const sessionIdRef = useRef(0)
+  const liveImageRef = useRef(null)
+  const [isSessionRestored, setIsSessionRestored] = useState(false)
+  const [shareLink, setShareLink] = useState(null)
+  const [sourceUrl, setSourceUrl] = useState('')
+  const [draftText, setDraftText] = useState('')
+  const [isNewImageOpen, setIsNewImageOpen] = useState(false)
+  const [isPlayingFrames, setIsPlayingFrames] = useState(false)
+  const [frameRate, setFrameRate] = useState(10)
+  const [filterSteps, setFilterSteps] = useState([])
+  const [isFilterPreviewing, setIsFilterPreviewing] = useState(true)
+  const [previewSteps, setPreviewSteps] = useState([])
+  const filterStepIdRef = useRef(0)
+  const contentRef = useRef(null)
+  const netpbmEditorRef = useRef(null)
+  const editorBackdropRef = useRef(null)
+  const editorHighlightRef = useRef(null)
+  const [netpbmTextErrorLocation, setNetpbmTextErrorLocation] = useState(null)
+  const [decodeProgress, setDecodeProgress] = useState(null)
+  const decodeJobRef = useRef(null)
+  const paintStrokeRef = useRef(null)
+  const selectionDragRef = useRef(null)
+  const [selection, setSelection] = useState(null)
+  const [standardPixels, setStandardPixels] = useState(null)
+  const tokenIndexCacheRef = useRef({ text: null, tokenIndex: null })
 
   useEffect(() => {
+    const objectUrls = objectUrlsRef.current
     return () => {
-      if (objectUrlRef.current) {
-        URL.revokeObjectURL(objectUrlRef.current)
-        objectUrlRef.current = null
-      }
+      objectUrls.forEach((url) => URL.revokeObjectURL(url))
+      objectUrls.clear()
     }
   }, [])
 
+  const isColorTarget = isPixelTarget(renderTarget) && isColorDepth(renderTarget.depth)
+
+  // Custom kernels are the only steps that can be invalid; they are checked on every edit.
+  const filterStepsError = useMemo(() => {
+    try {
+      filterSteps.filter((step) => step.type === 'kernel').forEach((step) => parseKernel(step.params.kernel))
+      return ''
+    } catch (kernelError) {
+      return kernelError instanceof Error ? kernelError.message : 'Unable to apply the filters'
+    }
+  }, [filterSteps])
+
   useEffect(() => {
-    if (renderTarget?.kind === 'netpbm' && canvasRef.current) {
+    const timer = setTimeout(() => setPreviewSteps(filterSteps), FILTER_PREVIEW_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [filterSteps])
+
+  // The stage previews the pipeline as it stood at the last pause in editing. Without steps (e.g.
+  // right after Apply) the preview goes away at once.
+  const previewImage = useMemo(() => {
+    if (!isFilterPreviewing || renderTarget?.kind !== 'netpbm' || !filterSteps.length || filterStepsError) return null
+    if (!previewSteps.length) return null
+    try {
+      return applyFilterPipeline(renderTarget, previewSteps)
+    } catch (previewError) {
+      return null
+    }
+  }, [isFilterPreviewing, renderTarget, filterSteps.length, filterStepsError, previewSteps])
+  // Modes that do not apply to the current image (e.g. a heatmap of a color image) fall back to normal.
+  const activeViewMode = isViewModeAvailable(viewMode, isColorTarget) ? viewMode : 'normal'
+
+  useEffect(() => {
+    if (isPixelTarget(renderTarget) && canvasRef.current) {
       const ctx = canvasRef.current.getContext('2d')
       if (!ctx) return
-      const { width, height, data } = renderTarget
-      const imageData = new ImageData(data, width, height)
+      const { width, height, data } = previewImage ?? renderTarget
+      const displayData = applyViewMode(data, activeViewMode, { tint: tintChannel })
       canvasRef.current.width = width
       canvasRef.current.height = height
-      ctx.putImageData(imageData, 0, 0)
-      if (analysisCanvasRef.current) {
-        analysisCanvasRef.current.width = width
-        analysisCanvasRef.current.height = height
-        const analysisCtx = analysisCanvasRef.current.getContext('2d', { willReadFrequently: true })
-        analysisCtx?.putImageData(imageData, 0, 0)
-      }
+      ctx.putImageData(new ImageData(displayData, width, height), 0, 0)
     }
-  }, [renderTarget])
+  }, [renderTarget, previewImage, activeViewMode, tintChannel])
 
-  const resetObjectUrl = useCallback(() => {
-    if (objectUrlRef.current) {
-      URL.revokeObjectURL(objectUrlRef.current)
-      objectUrlRef.current = null
+  // The analysis canvas always holds the original pixels, whatever the view mode.
+  useEffect(() => {
+    if (isPixelTarget(renderTarget) && analysisCanvasRef.current) {
+      const { width, height, data } = renderTarget
+      analysisCanvasRef.current.width = width
+      analysisCanvasRef.current.height = height
+      const analysisCtx = analysisCanvasRef.current.getContext('2d', { willReadFrequently: true })
+      analysisCtx?.putImageData(new ImageData(data, width, height), 0, 0)
     }
+  }, [renderTarget])
+
+  const revokeObjectUrl = useCallback((url) => {
+    if (!url || !objectUrlsRef.current.has(url)) return
+    URL.revokeObjectURL(url)
+    objectUrlsRef.current.delete(url)
   }, [])
 
-  const handleFile = useCallback(
-    async (file) => {
-      if (!file) return
+  const commitHistory = useCallback(
+    (next) => {
+      const keptUrls = new Set(next.entries.map((entry) => entry.renderTarget?.url))
+      historyRef.current.entries.forEach((entry) => {
+        const url = entry.renderTarget?.url
+        if (url && !keptUrls.has(url)) revokeObjectUrl(url)
+      })
+      historyRef.current = next
+      setHistory(next)
+    },
+    [revokeObjectUrl],
+  )
+
+  // Records an image state. Entries sharing a coalesce key in quick succession replace each other,
+  // so typing a number produces one entry instead of one per keystroke.
+  const pushHistory = useCallback(
+    (label, snapshot, coalesceKey = null) => {
+      const { entries, index } = historyRef.current
+      const now = Date.now()
+      const kept = entries.slice(0, index + 1)
+      const top = kept[kept.length - 1]
+      let nextEntries
+      if (coalesceKey && top?.coalesceKey === coalesceKey && now - top.time < TEXT_EDIT_COALESCE_MS) {
+        nextEntries = [...kept.slice(0, -1), { ...top, ...snapshot, time: now }]
+      } else {
+        historyIdRef.current += 1
+        const entry = { id: historyIdRef.current, label, coalesceKey, time: now, ...snapshot }
+        nextEntries = [...kept, entry].slice(-HISTORY_LIMIT)
+      }
+      commitHistory({ entries: nextEntries, index: nextEntries.length - 1 })
+    },
+    [commitHistory],
+  )
+
+  const restoreHistory = useCallback(
+    (index) => {
+      const { entries } = historyRef.current
+      const entry = entries[index]
+      if (!entry) return
+      paintStrokeRef.current = null
+      setRenderTarget(entry.renderTarget)
+      setNetpbmText(entry.netpbmText)
+      setNetpbmTextError(entry.netpbmTextError)
+      setNetpbmTextErrorLocation(entry.netpbmTextErrorLocation ?? null)
       setError('')
       setPickedColor(null)
-      setPickerError('')
       setTooltip(null)
-      setNetpbmTextError('')
-      setNetpbmText('')
+      setHighlightedPixel(null)
+      // Coalescing must not merge the next keystroke into an entry the user navigated to.
+      commitHistory({ entries: entries.map((item) => (item === entry ? { ...item, time: 0 } : item)), index })
+    },
+    [commitHistory],
+  )
+
+  const undo = useCallback(() => restoreHistory(historyRef.current.index - 1), [restoreHistory])
+  const redo = useCallback(() => restoreHistory(historyRef.current.index + 1), [restoreHistory])
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return
+      // Form fields keep their native undo; the Netpbm textarea is covered by the image history.
+      const { target } = event
+      if (
+        target instanceof HTMLInputElement ||
+        target instanceof HTMLSelectElement ||
+        (target instanceof HTMLTextAreaElement && target !== netpbmEditorRef.current) ||
+        target?.isContentEditable
+      ) {
+        return
+      }
+      const key = event.key.toLowerCase()
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault()
+        undo()
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault()
+        redo()
+      }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [undo, redo])
+
+  const cancelDecode = useCallback(() => {
+    decodeJobRef.current?.cancel()
+    decodeJobRef.current = null
+    setDecodeProgress(null)
+  }, [])
+
+  useEffect(() => cancelDecode, [cancelDecode])
+
+  // Runs a worker job with a progress bar; only one job runs at a time.
+  const runDecodeJob = useCallback(
+    async (name, message) => {
+      cancelDecode()
+      const job = runNetpbmWorker(message, ({ phase, progress }) => setDecodeProgress({ name, phase, progress }))
+      decodeJobRef.current = job
+      setDecodeProgress({ name, phase: message.type === 'decode' ? 'read' : 'text', progress: 0 })
       try {
-        const buffer = await file.arrayBuffer()
-        let parsed
-        try {
-          parsed = parseNetpbm(buffer)
-        } catch (parseError) {
-          throw parseError
+        return await job.promise
+      } finally {
+        if (decodeJobRef.current === job) {
+          decodeJobRef.current = null
+          setDecodeProgress(null)
         }
+      }
+    },
+    [cancelDecode],
+  )
+
+  // A new image state whose history starts with a single entry.
+  const createImageSnapshot = useCallback((label, image) => {
+    const snapshot = {
+      renderTarget: image.renderTarget,
+      netpbmText: image.netpbmText,
+      netpbmTextError: image.netpbmTextError ?? '',
+      netpbmTextErrorLocation: image.netpbmTextErrorLocation ?? null,
+      view: image.view ?? FIT_VIEW,
+      pins: image.pins ?? [],
+      measureLine: image.measureLine ?? null,
+    }
+    historyIdRef.current += 1
+    const entry = {
+      id: historyIdRef.current,
+      label,
+      coalesceKey: null,
+      time: Date.now(),
+      renderTarget: snapshot.renderTarget,
+      netpbmText: snapshot.netpbmText,
+      netpbmTextError: snapshot.netpbmTextError,
+      netpbmTextErrorLocation: snapshot.netpbmTextErrorLocation,
+    }
+    return { ...snapshot, history: { entries: [entry], index: 0 } }
+  }, [])
+
+  // Writes the live state of the active image back into its session entry before another one is
+  // shown, refreshing the thumbnail so it reflects edits.
+  const storeActiveImage = useCallback(() => {
+    const id = activeImageIdRef.current
+    if (id == null) return
+    const snapshot = { ...liveImageRef.current, history: historyRef.current }
+    const target = snapshot.renderTarget
+    const thumbnail = isPixelTarget(target) ? createThumbnail(target) : target?.url
+    setSessionImages((images) => images.map((image) => (image.id === id ? { ...image, snapshot, thumbnail } : image)))
+  }, [])
+
+  const showSessionImage = useCallback(
+    (id, snapshot) => {
+      if (id === activeImageIdRef.current) return
+      storeActiveImage()
+      activeImageIdRef.current = id
+      setActiveImageId(id)
+      setIsPlayingFrames(false)
+      setShareLink(null)
+      paintStrokeRef.current = null
+      selectionDragRef.current = null
+      historyRef.current = snapshot.history
+      setHistory(snapshot.history)
+      setRenderTarget(snapshot.renderTarget)
+      setNetpbmText(snapshot.netpbmText)
+      setNetpbmTextError(snapshot.netpbmTextError)
+      setNetpbmTextErrorLocation(snapshot.netpbmTextErrorLocation)
+      setView(snapshot.view)
+      setPins(snapshot.pins)
+      setMeasureLine(snapshot.measureLine)
+      setError('')
+      setPickedColor(null)
+      setPickerError('')
+      setTooltip(null)
+      setHighlightedPixel(null)
+      setPixelCursor(null)
+    },
+    [storeActiveImage],
+  )
+
+  const selectSessionImage = useCallback(
+    (id) => {
+      const image = sessionImages.find((item) => item.id === id)
+      if (image?.status === 'ready') showSessionImage(id, image.snapshot)
+    },
+    [sessionImages, showSessionImage],
+  )
+
+  const updateSessionImage = useCallback((id, changes) => {
+    setSessionImages((images) => images.map((image) => (image.id === id ? { ...image, ...changes } : image)))
+  }, [])
 
-        if (parsed) {
-          resetObjectUrl()
-          const asciiText = generateNetpbmText(parsed)
-          setNetpbmText(asciiText)
-          setNetpbmTextError('')
-          setRenderTarget({
+  const dismissSessionImage = useCallback((id) => {
+    setSessionImages((images) => images.filter((image) => image.id !== id))
+  }, [])
+
+  // Decodes one file into a new image state. Standard images are decoded up front too, so a file
+  // the browser cannot read fails here instead of in the <img> element.
+  const decodeFile = useCallback(
+    async (file) => {
+      const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer())
+      if (isNetpbmMagic(magic)) {
+        const { image, text, truncated } = await runDecodeJob(file.name, {
+          type: 'decode',
+          file,
+          maxTextSamples: TEXT_SAMPLE_LIMIT,
+          textFormat: textFormatRef.current,
+        })
+        if (image?.isFloat) {
+          const target = {
+            kind: 'float',
+            name: file.name,
+            ...pickFloatImage(image),
+            size: file.size,
+            exposure: 0,
+            toneMapping: 'clamp',
+          }
+          return { target, text, thumbnail: createThumbnail(target) }
+        }
+        if (image) {
+          const target = {
             kind: 'netpbm',
             name: file.name,
-            format: parsed.format,
-            width: parsed.width,
-            height: parsed.height,
-            data: parsed.data,
-            maxVal: parsed.maxVal,
-            sourceMaxVal: parsed.sourceMaxVal,
+            ...pickNetpbmImage(image),
+            warningSource: 'file',
+            textTruncated: truncated,
             size: file.size,
-          })
-          return
+            frames: image.frames.length > 1 ? image.frames.map(pickNetpbmFrame) : null,
+            frameIndex: 0,
+            // The original bytes of binary files, for the byte inspector. Edits drop them, since the
+            // file layout no longer describes the edited image.
+            binarySource: image.layout ? { blob: file, layouts: image.frames.map((frame) => frame.layout) } : null,
+          }
+          return { target, text, thumbnail: createThumbnail(target) }
         }
+      }
+      let bitmap
+      try {
+        bitmap = await createImageBitmap(file)
+      } catch (decodeError) {
+        throw new Error('Unable to load the selected image')
+      }
+      const { width, height } = bitmap
+      bitmap.close()
+      const objectUrl = URL.createObjectURL(file)
+      objectUrlsRef.current.add(objectUrl)
+      const target = { kind: 'standard', name: file.name, url: objectUrl, blob: file, width, height, size: file.size }
+      return { target, text: '', thumbnail: objectUrl }
+    },
+    [runDecodeJob],
+  )
 
-        const objectUrl = URL.createObjectURL(file)
-        resetObjectUrl()
-        objectUrlRef.current = objectUrl
-        setNetpbmText('')
-        setNetpbmTextError('')
-        setRenderTarget({
-          kind: 'standard',
-          name: file.name,
-          url: objectUrl,
-          width: undefined,
-          height: undefined,
-          size: file.size,
+  // Adds files to the session and decodes them one after another. The first one that decodes is
+  // shown; a failure only marks its own entry. Cancelling stops the rest of the batch.
+  const handleFiles = useCallback(
+    async (fileList) => {
+      const files = Array.from(fileList ?? [])
+      if (!files.length) return
+      const entries = files.map((file) => {
+        sessionIdRef.current += 1
+        return { id: sessionIdRef.current, name: file.name, status: 'loading', error: '', thumbnail: null, snapshot: null }
+      })
+      setSessionImages((images) => [...images, ...entries])
+      let shown = false
+      for (let index = 0; index < files.length; index += 1) {
+        const { id } = entries[index]
+        try {
+          const { target, text, thumbnail } = await decodeFile(files[index])
+          const snapshot = createImageSnapshot(`Open ${target.name}`, { renderTarget: target, netpbmText: text })
+          updateSessionImage(id, { status: 'ready', thumbnail, snapshot })
+          if (!shown) {
+            shown = true
+            showSessionImage(id, snapshot)
+          }
+        } catch (err) {
+          if (err?.name === 'AbortError') {
+            const skipped = new Set(entries.slice(index + 1).map((entry) => entry.id))
+            setSessionImages((images) => images.filter((image) => !skipped.has(image.id)))
+            updateSessionImage(id, { status: 'error', error: 'Decoding was cancelled' })
+            return
+          }
+          updateSessionImage(id, { status: 'error', error: err instanceof Error ? err.message : 'Failed to load image' })
+        }
+      }
+    },
+    [decodeFile, createImageSnapshot, showSessionImage, updateSessionImage],
+  )
+
+  // Adds already decoded images to the session as ready entries and shows one of them.
+  const addSessionImages = useCallback(
+    (images, shownIndex = 0) => {
+      const entries = images.map(({ snapshot, thumbnail }) => {
+        sessionIdRef.current += 1
+        return { id: sessionIdRef.current, name: snapshot.renderTarget.name, status: 'ready', error: '', thumbnail, snapshot }
+      })
+      setSessionImages((current) => [...current, ...entries])
+      const shown = entries[shownIndex] ?? entries[0]
+      if (shown) showSessionImage(shown.id, shown.snapshot)
+    },
+    [showSessionImage],
+  )
+
+  const restoreSavedSession = useCallback(
+    (saved) => {
+      const images = saved.images.flatMap((image) => {
+        const { renderTarget: savedTarget } = image
+        let target
+        if (savedTarget.kind === 'standard') {
+          if (!(savedTarget.blob instanceof Blob)) return []
+          const url = URL.createObjectURL(savedTarget.blob)
+          objectUrlsRef.current.add(url)
+          target = { ...savedTarget, url }
+        } else {
+          target = savedTarget.kind === 'float' ? restoreFloatTarget(savedTarget) : restoreNetpbmTarget(savedTarget)
+        }
+        const snapshot = createImageSnapshot(`Restore ${target.name}`, { ...image, renderTarget: target })
+        return [{ snapshot, thumbnail: isPixelTarget(target) ? createThumbnail(target) : target.url }]
+      })
+      const { settings } = saved
+      if (settings) {
+        setShowPixelGrid(settings.showPixelGrid)
+        setViewMode(settings.viewMode)
+        setTintChannel(settings.tintChannel)
+        setShowCheckerboard(settings.showCheckerboard)
+        setTextFormat(settings.textFormat ?? DEFAULT_TEXT_FORMAT)
+      }
+      addSessionImages(images, saved.activeIndex)
+    },
+    [createImageSnapshot, addSessionImages],
+  )
+
+  // Adds an image parsed from Netpbm text (a share link or the draft editor) to the session.
+  const openNetpbmText = useCallback(
+    (name, text, label) => {
+      const parsed = parseNetpbmText(text)
+      const target = {
+        kind: 'netpbm',
+        name,
+        ...pickNetpbmImage(parsed),
+        warningSource: 'text',
+        textTruncated: false,
+        size: text.length,
+        frames: null,
+        frameIndex: 0,
+      }
+      const snapshot = createImageSnapshot(`${label} ${name}`, { renderTarget: target, netpbmText: text })
+      addSessionImages([{ snapshot, thumbnail: createThumbnail(target) }])
+    },
+    [createImageSnapshot, addSessionImages],
+  )
+
+  // Creates a blank image or test pattern; its text comes from generateNetpbmText like a decoded file.
+  const createNewImage = useCallback(
+    (options) => {
+      const image = createPatternImage(options)
+      const target = {
+        kind: 'netpbm',
+        name: `${options.pattern}.${options.format === 'P3' ? 'ppm' : 'pgm'}`,
+        ...pickNetpbmImage(image),
+        warningSource: 'text',
+        textTruncated: getTextSampleCount(image) > TEXT_SAMPLE_LIMIT,
+        frames: null,
+        frameIndex: 0,
+      }
+      const text = generateNetpbmText(image, { ...textFormat, maxSamples: TEXT_SAMPLE_LIMIT })
+      const snapshot = createImageSnapshot(`New ${target.name}`, { renderTarget: target, netpbmText: text })
+      addSessionImages([{ snapshot, thumbnail: createThumbnail(target) }])
+      setIsNewImageOpen(false)
+    },
+    [createImageSnapshot, addSessionImages, textFormat],
+  )
+
+  const draftTextError = useMemo(() => {
+    if (!draftText.trim()) return ''
+    try {
+      parseNetpbmText(draftText)
+      return ''
+    } catch (parseError) {
+      return parseError instanceof Error ? parseError.message : 'Unable to parse the Netpbm text'
+    }
+  }, [draftText])
+
+  const openDraftText = useCallback(() => {
+    openNetpbmText('untitled.pnm', draftText, 'Open')
+    setDraftText('')
+  }, [openNetpbmText, draftText])
+
+  // Fetches an image from this site and opens it like a picked file. Other origins are refused
+  // rather than relying on CORS headers.
+  const loadFromUrl = useCallback(
+    async (src) => {
+      let url
+      try {
+        url = new URL(src, window.location.href)
+      } catch (urlError) {
+        setError(`Not a valid image URL: ${src}`)
+        return
+      }
+      if (url.origin !== window.location.origin) {
+        setError('Only images from this site can be loaded by URL')
+        return
+      }
+      setError('')
+      let blob
+      try {
+        const response = await fetch(url)
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        blob = await response.blob()
+      } catch (fetchError) {
+        const reason = fetchError instanceof Error ? fetchError.message : 'request failed'
+        setError(`Unable to fetch ${url.pathname}: ${reason}`)
+        return
+      }
+      const name = decodeURIComponent(url.pathname.split('/').pop() ?? '') || 'image'
+      await handleFiles([new File([blob], name, { type: blob.type })])
+    },
+    [handleFiles],
+  )
+
+  const onSourceUrlSubmit = useCallback(
+    (event) => {
+      event.preventDefault()
+      if (sourceUrl.trim()) loadFromUrl(sourceUrl.trim())
+    },
+    [loadFromUrl, sourceUrl],
+  )
+
+  // The restore below runs once on mount; it reaches the current callbacks through this ref.
+  const sessionLoadersRef = useRef(null)
+  sessionLoadersRef.current = { restoreSavedSession, openNetpbmText, loadFromUrl }
+  const sessionRestoreStartedRef = useRef(false)
+  // Image state as of the last successful autosave, by session image id.
+  const savedImagesRef = useRef(new Map())
+
+  // Restores the autosaved session, then opens a shared image from the URL hash or a ?src= image
+  // on top of it. Both are removed from the URL afterwards so reloading does not add them again.
+  // The guard is set once the saved session is read, so a StrictMode remount still restores it.
+  useEffect(() => {
+    let cancelled = false
+    const restore = async () => {
+      let saved = null
+      try {
+        saved = await loadSession()
+      } catch (restoreError) {
+        // IndexedDB can be unavailable (e.g. in some private windows); the app then starts empty.
+      }
+      if (cancelled || sessionRestoreStartedRef.current) return
+      sessionRestoreStartedRef.current = true
+      const { restoreSavedSession, openNetpbmText, loadFromUrl } = sessionLoadersRef.current
+      if (saved?.version === SESSION_VERSION && saved.images?.length) restoreSavedSession(saved)
+      const { hash, pathname, search } = window.location
+      const params = new URLSearchParams(search)
+      const src = params.get('src')
+      const hasShareHash = isShareHash(hash)
+      if (hasShareHash) {
+        try {
+          const { name, text } = await readShareHash(hash)
+          if (cancelled) return
+          openNetpbmText(name, text, 'Open shared')
+        } catch (shareError) {
+          setError(shareError instanceof Error ? shareError.message : 'Unable to open the share link')
+        }
+      }
+      if (src) loadFromUrl(src)
+      if (hasShareHash || src !== null) {
+        params.delete('src')
+        const query = params.toString()
+        window.history.replaceState(null, '', `${pathname}${query ? `?${query}` : ''}${hasShareHash ? '' : hash}`)
+      }
+      setIsSessionRestored(true)
+    }
+    restore()
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Opens pasted images and Netpbm text. Pastes into form fields, including the text editor, are
+  // left to the browser.
+  useEffect(() => {
+    const onPaste = (event) => {
+      if (event.target instanceof Element && event.target.closest('input, textarea, select, [contenteditable]')) return
+      const { clipboardData } = event
+      if (!clipboardData) return
+      const files = Array.from(clipboardData.files)
+      if (files.length) {
+        event.preventDefault()
+        handleFiles(files)
+        return
+      }
+      const text = clipboardData.getData('text/plain').trimStart()
+      if (/^P[1-3]\s/.test(text)) {
+        event.preventDefault()
+        handleFiles([new File([text], 'pasted.pnm', { type: 'text/plain' })])
+      }
+    }
+    window.addEventListener('paste', onPaste)
+    return () => window.removeEventListener('paste', onPaste)
+  }, [handleFiles])
+
+  // Saves the session shortly after the last change, rewriting only the images whose samples or text
+  // changed since the previous save (the active one is read from its live state). Nothing is written
+  // until the saved session has been read, so it cannot be overwritten first.
+  useEffect(() => {
+    if (!isSessionRestored) return undefined
+    const timer = setTimeout(() => {
+      const readyImages = sessionImages.filter((image) => image.status === 'ready')
+      const savedImages = new Map()
+      const changedImages = []
+      const images = readyImages.map((image) => {
+        const state = image.id === activeImageId ? liveImageRef.current : image.snapshot
+        const key = `image-${image.id}`
+        const previous = savedImagesRef.current.get(image.id)
+        if (!previous || PERSISTED_IMAGE_FIELDS.some((field) => previous[field] !== state[field])) {
+          const { renderTarget, netpbmText, netpbmTextError, netpbmTextErrorLocation } = state
+          changedImages.push({
+            key,
+            record: { renderTarget: serializeTarget(renderTarget), netpbmText, netpbmTextError, netpbmTextErrorLocation },
+          })
+        }
+        savedImages.set(image.id, state)
+        return { key, view: state.view, pins: state.pins, measureLine: state.measureLine }
+      })
+      saveSession(
+        {
+          version: SESSION_VERSION,
+          images,
+          activeIndex: Math.max(0, readyImages.findIndex((image) => image.id === activeImageId)),
+          settings: { showPixelGrid, viewMode, tintChannel, showCheckerboard, textFormat },
+        },
+        changedImages,
+      )
+        .then(() => {
+          savedImagesRef.current = savedImages
         })
-      } catch (err) {
-        resetObjectUrl()
-        setRenderTarget(null)
-        setError(err instanceof Error ? err.message : 'Failed to load image')
-        setNetpbmText('')
-        setNetpbmTextError('')
+        .catch(() => {
+          // Autosave is best effort; storage can be full or unavailable. Every image is kept as
+          // changed, so the next save writes it again.
+        })
+    }, AUTOSAVE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [
+    isSessionRestored,
+    sessionImages,
+    activeImageId,
+    renderTarget,
+    netpbmText,
+    netpbmTextError,
+    view,
+    pins,
+    measureLine,
+    showPixelGrid,
+    viewMode,
+    tintChannel,
+    showCheckerboard,
+    textFormat,
+  ])
+
+  // Copies a link that opens the current text in the editor. Only complete, valid text is shared.
+  const copyShareLink = useCallback(async () => {
+    setShareLink(null)
+    try {
+      if (renderTarget?.kind !== 'netpbm' || netpbmTextError) throw new Error('Fix the text errors before sharing')
+      if (renderTarget.textTruncated) throw new Error('Only images whose full text is loaded can be shared')
+      const hash = await createShareHash({ name: renderTarget.name, text: netpbmText })
+      const { origin, pathname, search } = window.location
+      const url = `${origin}${pathname}${search}${hash}`
+      if (url.length > SHARE_URL_LIMIT) throw new Error('The image is too large for a share link')
+      try {
+        await navigator.clipboard.writeText(url)
+        setShareLink({ url, message: 'Share link copied to the clipboard' })
+      } catch (clipboardError) {
+        setShareLink({ url, message: 'Copy this share link:' })
       }
+    } catch (shareError) {
+      setShareLink({ url: null, message: shareError instanceof Error ? shareError.message : 'Unable to create a share link' })
+    }
+  }, [renderTarget, netpbmText, netpbmTextError])
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key !== '[' && event.key !== ']') return
+      if (event.ctrlKey || event.metaKey || event.altKey) return
+      const { target } = event
+      if (
+        target instanceof HTMLInputElement ||
+        target instanceof HTMLTextAreaElement ||
+        target instanceof HTMLSelectElement ||
+        target?.isContentEditable
+      ) {
+        return
+      }
+      const readyImages = sessionImages.filter((image) => image.status === 'ready')
+      const index = readyImages.findIndex((image) => image.id === activeImageId)
+      const next = readyImages[index + (event.key === ']' ? 1 : -1)]
+      if (!next) return
+      event.preventDefault()
+      showSessionImage(next.id, next.snapshot)
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [sessionImages, activeImageId, showSessionImage])
+
+  // Decodes the second image of a comparison into RGBA display values; it never enters the history.
+  const loadCompareFile = useCallback(async (file) => {
+    if (!file) return
+    setCompareError('')
+    setIsCompareLoading(true)
+    try {
+      const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer())
+      if (isNetpbmMagic(magic)) {
+        const { image } = await runNetpbmWorker({ type: 'decode', file, maxTextSamples: 0 }, () => {}).promise
+        if (image?.isFloat) {
+          setCompareTarget({ kind: 'float', name: file.name, ...pickFloatImage(image) })
+          return
+        }
+        if (image) {
+          setCompareTarget({ kind: 'netpbm', name: file.name, ...pickNetpbmImage(image) })
+          return
+        }
+      }
+      const bitmap = await createImageBitmap(file)
+      const canvas = document.createElement('canvas')
+      canvas.width = bitmap.width
+      canvas.height = bitmap.height
+      const ctx = canvas.getContext('2d')
+      ctx.drawImage(bitmap, 0, 0)
+      bitmap.close()
+      const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+      setCompareTarget({ kind: 'standard', name: file.name, width: canvas.width, height: canvas.height, data })
+    } catch (err) {
+      setCompareError(err instanceof Error ? err.message : 'Unable to load the comparison image')
+    } finally {
+      setIsCompareLoading(false)
+    }
+  }, [])
+
+  const clearCompare = useCallback(() => {
+    setCompareTarget(null)
+    setCompareView('off')
+    setCompareError('')
+  }, [])
+
+  // Shows another image of a multi-image stream. The current frame, edits included, is written back
+  // to the frame list first. Frame changes are not recorded in the history.
+  const showFrame = useCallback(
+    (index) => {
+      if (!renderTarget?.frames || index === renderTarget.frameIndex || !renderTarget.frames[index]) return
+      const frames = renderTarget.frames.map((frame, frameIndex) =>
+        frameIndex === renderTarget.frameIndex ? { ...frame, ...pickNetpbmImage(renderTarget) } : frame,
+      )
+      const frame = frames[index]
+      paintStrokeRef.current = null
+      setRenderTarget({
+        ...renderTarget,
+        ...pickNetpbmImage(frame),
+        frames,
+        frameIndex: index,
+        warningSource: 'file',
+        textTruncated: getTextSampleCount(frame) > TEXT_SAMPLE_LIMIT,
+      })
+      setNetpbmText(generateNetpbmText(frame, { ...textFormat, maxSamples: TEXT_SAMPLE_LIMIT }))
+      setNetpbmTextError('')
+      setNetpbmTextErrorLocation(null)
+      setHighlightedPixel(null)
+    },
+    [renderTarget, textFormat],
+  )
+
+  // Shows the pixel a byte of the original file belongs to, switching frames when needed.
+  const locateFilePixel = useCallback(
+    (frameIndex, x, y) => {
+      if (renderTarget?.frames && frameIndex !== renderTarget.frameIndex) showFrame(frameIndex)
+      setHighlightedPixel({ x, y })
+    },
+    [renderTarget, showFrame],
+  )
+
+  // Exposure and operator only change how a float image is shown, so they bypass the history.
+  const updateToneMapping = useCallback((changes) => {
+    setRenderTarget((target) => {
+      if (target?.kind !== 'float') return target
+      const next = { ...target, ...changes }
+      return { ...next, data: toneMapFloat(next, next) }
+    })
+  }, [])
+
+  useEffect(() => {
+    if (!isPlayingFrames || !renderTarget?.frames) return undefined
+    const timer = setTimeout(() => showFrame((renderTarget.frameIndex + 1) % renderTarget.frames.length), 1000 / frameRate)
+    return () => clearTimeout(timer)
+  }, [isPlayingFrames, frameRate, renderTarget, showFrame])
+
+  const loadFullText = useCallback(async () => {
+    if (!renderTarget?.textTruncated) return
+    const { format, width, height, depth, samples, sourceMaxVal } = renderTarget
+    try {
+      const { text } = await runDecodeJob(renderTarget.name, {
+        type: 'generate-text',
+        image: { format, width, height, depth, samples, sourceMaxVal },
+        textFormat,
+      })
+      setNetpbmText(text)
+      setRenderTarget((prev) => (prev === renderTarget ? { ...prev, textTruncated: false } : prev))
+    } catch (err) {
+      if (err?.name === 'AbortError') return
+      setError(err instanceof Error ? err.message : 'Unable to generate the text representation')
+    }
+  }, [renderTarget, runDecodeJob, textFormat])
+
+  // Changes the formatting options and rewrites the current text with them when it is complete and
+  // valid. Comments anywhere in the text move to the header, or are dropped, and the generated notes
+  // are written afresh; the image is unchanged.
+  const changeTextFormat = useCallback(
+    (changes) => {
+      const nextFormat = { ...textFormat, ...changes }
+      setTextFormat(nextFormat)
+      if (renderTarget?.kind !== 'netpbm' || renderTarget.textTruncated || netpbmTextError) return
+      const text = generateNetpbmText(parseNetpbmText(netpbmText), nextFormat)
+      if (text === netpbmText) return
+      setNetpbmText(text)
+      pushHistory('Format text', { renderTarget, netpbmText: text, netpbmTextError: '' })
     },
-    [resetObjectUrl],
+    [textFormat, renderTarget, netpbmText, netpbmTextError, pushHistory],
   )
 
   const onFilesSelected = useCallback(
     (event) => {
-      const file = event.target.files?.[0]
-      handleFile(file)
+      handleFiles(event.target.files)
       event.target.value = ''
     },
-    [handleFile],
+    [handleFiles],
   )
 
   const onDragOver = useCallback((event) => {
@@ -370,10 +1198,9 @@ function App() {
       event.preventDefault()
       event.stopPropagation()
       setIsDragging(false)
-      const file = event.dataTransfer?.files?.[0]
-      handleFile(file)
+      getDroppedFiles(event.dataTransfer).then(handleFiles)
     },
-    [handleFile],
+    [handleFiles],
   )
 
   const prettyFileSize = (bytes) => {
@@ -399,7 +1226,7 @@ function App() {
     (event) => {
       if (!renderTarget) return
       if (renderTarget.kind === 'netpbm' && netpbmTextError) return
-      if (event.target === stageRef.current) {
+      if (event.target === stageRef.current || event.target === viewportRef.current) {
         setTooltip(null)
         setPickedColor(null)
       }
@@ -414,7 +1241,7 @@ function App() {
 
   const handleNetpbmPointerMove = useCallback(
     (event) => {
-      if (!renderTarget || renderTarget.kind !== 'netpbm') return
+      if (!isPixelTarget(renderTarget)) return
       if (netpbmTextError) return
       const stageElement = stageRef.current
       if (!stageElement) return
@@ -432,7 +1259,9 @@ function App() {
       const g = renderTarget.data[base + 1]
       const b = renderTarget.data[base + 2]
       const a = renderTarget.data[base + 3]
-      setPickedColor({ r, g, b, a, x, y })
+      const sampleBase = (y * renderTarget.width + x) * renderTarget.depth
+      const raw = Array.from(renderTarget.samples.subarray(sampleBase, sampleBase + renderTarget.depth))
+      setPickedColor({ r, g, b, a, x, y, raw })
       setPickerError('')
       if (!stageRect.width || !stageRect.height) return
       setTooltip({
@@ -488,46 +1317,601 @@ function App() {
       setNetpbmText(value)
       if (!value.trim()) {
         setNetpbmTextError('Netpbm text is empty')
+        setNetpbmTextErrorLocation(null)
         setTooltip(null)
         setPickedColor(null)
+        pushHistory('Edit text', { renderTarget, netpbmText: value, netpbmTextError: 'Netpbm text is empty' }, 'text')
         return
       }
       try {
         const parsed = parseNetpbmText(value)
+        const nextTarget =
+          renderTarget?.kind === 'netpbm'
+            ? { ...renderTarget, ...pickNetpbmImage(parsed), warningSource: 'text', binarySource: null }
+            : renderTarget
         setNetpbmTextError('')
-        setRenderTarget((prev) => {
-          if (!prev || prev.kind !== 'netpbm') return prev
-          return {
-            ...prev,
-            format: parsed.format,
-            width: parsed.width,
-            height: parsed.height,
-            data: parsed.data,
-            maxVal: parsed.maxVal,
-            sourceMaxVal: parsed.sourceMaxVal,
-          }
-        })
+        setNetpbmTextErrorLocation(null)
+        setRenderTarget(nextTarget)
+        pushHistory('Edit text', { renderTarget: nextTarget, netpbmText: value, netpbmTextError: '' }, 'text')
       } catch (parseError) {
-        setNetpbmTextError(parseError instanceof Error ? parseError.message : 'Unable to parse Netpbm text')
+        const message = parseError instanceof Error ? parseError.message : 'Unable to parse Netpbm text'
+        const location =
+          parseError instanceof NetpbmParseError && parseError.line != null
+            ? createParseIssue(parseError.reason, parseError)
+            : null
+        setNetpbmTextError(message)
+        setNetpbmTextErrorLocation(location)
         setTooltip(null)
         setPickedColor(null)
+        pushHistory(
+          'Edit text',
+          { renderTarget, netpbmText: value, netpbmTextError: message, netpbmTextErrorLocation: location },
+          'text',
+        )
+      }
+    },
+    [renderTarget, pushHistory],
+  )
+
+  // Standard and float images are exported from the analysis canvas, which holds their decoded (for
+  // float images, tone-mapped) RGBA pixels.
+  const getExportImage = useCallback(() => {
+    if (!renderTarget) return null
+    if (renderTarget.kind === 'netpbm') return renderTarget
+    const analysisCanvas = analysisCanvasRef.current
+    const ctx = analysisCanvas?.getContext('2d', { willReadFrequently: true })
+    if (!ctx || !renderTarget.width || !renderTarget.height) return null
+    const { data } = ctx.getImageData(0, 0, renderTarget.width, renderTarget.height)
+    return {
+      format: 'RGBA',
+      width: renderTarget.width,
+      height: renderTarget.height,
+      depth: 4,
+      samples: Uint16Array.from(data),
+      sourceMaxVal: 255,
+    }
+  }, [renderTarget])
+
+  const handleExport = useCallback(() => {
+    if (!renderTarget) return
+    setExportError('')
+    const formatOption = EXPORT_FORMATS.find((option) => option.value === exportFormat)
+    const baseName = renderTarget.name.replace(/\.[^.]+$/, '') || 'image'
+    const frameSuffix = renderTarget.frames ? `-frame${renderTarget.frameIndex + 1}` : ''
+    const fileName = `${baseName}${frameSuffix}.${formatOption.extension}`
+    try {
+      if (exportFormat === 'PNG') {
+        const analysisCanvas = analysisCanvasRef.current
+        if (!analysisCanvas) throw new Error('Image is not ready for export yet')
+        analysisCanvas.toBlob((blob) => {
+          if (blob) {
+            downloadBlob(blob, fileName)
+          } else {
+            setExportError('Unable to encode the image as PNG')
+          }
+        }, 'image/png')
+        return
+      }
+      const image = getExportImage()
+      if (!image) throw new Error('Image is not ready for export yet')
+      const maxVal = exportMaxVal.trim() ? Number(exportMaxVal) : image.sourceMaxVal
+      const bytes = encodeNetpbm(image, { format: exportFormat, maxVal })
+      downloadBlob(new Blob([bytes], { type: 'image/x-portable-anymap' }), fileName)
+    } catch (exportFailure) {
+      setExportError(exportFailure instanceof Error ? exportFailure.message : 'Unable to export the image')
+    }
+  }, [renderTarget, exportFormat, exportMaxVal, getExportImage])
+
+  // Writes every frame, the current one with its edits, back to back into one binary stream.
+  const handleExportFrames = useCallback(() => {
+    if (!renderTarget?.frames) return
+    setExportError('')
+    const formatOption = EXPORT_FORMATS.find((option) => option.value === exportFormat)
+    const baseName = renderTarget.name.replace(/\.[^.]+$/, '') || 'image'
+    try {
+      const frames = renderTarget.frames.map((frame, index) => (index === renderTarget.frameIndex ? renderTarget : frame))
+      const parts = frames.map((frame) =>
+        encodeNetpbm(frame, { format: exportFormat, maxVal: exportMaxVal.trim() ? Number(exportMaxVal) : frame.sourceMaxVal }),
+      )
+      downloadBlob(new Blob(parts, { type: 'image/x-portable-anymap' }), `${baseName}.${formatOption.extension}`)
+    } catch (exportFailure) {
+      setExportError(exportFailure instanceof Error ? exportFailure.message : 'Unable to export the frames')
+    }
+  }, [renderTarget, exportFormat, exportMaxVal])
+
+  // Replaces the image with a transformed copy and regenerates its text, so the new header and
+  // samples show up in the editor.
+  const applyTransform = useCallback(
+    (label, transform) => {
+      if (renderTarget?.kind !== 'netpbm' || netpbmTextError) return
+      const image = transform(renderTarget)
+      const nextTarget = {
+        ...renderTarget,
+        ...pickNetpbmImage(image),
+        warnings: [],
+        warningSource: 'text',
+        textTruncated: getTextSampleCount(image) > TEXT_SAMPLE_LIMIT,
+        binarySource: null,
+      }
+      const text = generateNetpbmText(nextTarget, { ...textFormat, maxSamples: TEXT_SAMPLE_LIMIT })
+      paintStrokeRef.current = null
+      setRenderTarget(nextTarget)
+      setNetpbmText(text)
+      setNetpbmTextError('')
+      setNetpbmTextErrorLocation(null)
+      setHighlightedPixel(null)
+      setPickedColor(null)
+      setTooltip(null)
+      pushHistory(label, { renderTarget: nextTarget, netpbmText: text, netpbmTextError: '' })
+    },
+    [renderTarget, netpbmTextError, pushHistory, textFormat],
+  )
+
+  const addFilterStep = useCallback((type) => {
+    filterStepIdRef.current += 1
+    const step = { id: filterStepIdRef.current, ...createFilterStep(type) }
+    setFilterSteps((steps) => [...steps, step])
+  }, [])
+
+  const applyFilters = useCallback(() => {
+    if (!filterSteps.length || filterStepsError) return
+    const label = filterSteps.map((step) => getFilter(step.type).label).join(', ')
+    applyTransform(`Filter: ${label}`, (image) => applyFilterPipeline(image, filterSteps))
+    setFilterSteps([])
+  }, [filterSteps, filterStepsError, applyTransform])
+
+  const hasRenderTarget = Boolean(renderTarget)
+
+  // Pixels the statistics and comparison read: the decoded buffer for Netpbm images, the analysis
+  // canvas contents for standard ones. Keyed on renderTarget because painting mutates data in place.
+  const analysisPixels = useMemo(() => {
+    if (isPixelTarget(renderTarget)) {
+      const { data, width, height } = renderTarget
+      return { data, width, height }
+    }
+    if (renderTarget?.kind === 'standard' && standardPixels?.url === renderTarget.url) {
+      return standardPixels
+    }
+    return null
+  }, [renderTarget, standardPixels])
+
+  const pinReadouts = useMemo(
+    () => pins.map((pin) => ({ ...pin, readout: getPixelReadout(renderTarget, analysisPixels, pin) })),
+    [pins, renderTarget, analysisPixels],
+  )
+
+  // What the live region reads out whenever the pixel cursor moves or the pixel under it changes.
+  const pixelCursorAnnouncement = useMemo(() => {
+    if (!pixelCursor) return ''
+    const readout = getPixelReadout(renderTarget, analysisPixels, pixelCursor)
+    if (!readout) return `Pixel ${pixelCursor.x}, ${pixelCursor.y} is outside the image`
+    const values = [`RGB ${readout.rgb.join(', ')}`, readout.raw].filter(Boolean)
+    return `Pixel ${pixelCursor.x}, ${pixelCursor.y}. ${values.join('. ')}`
+  }, [pixelCursor, renderTarget, analysisPixels])
+
+  const comparison = useMemo(
+    () => (analysisPixels && compareTarget ? compareImages(analysisPixels, compareTarget) : null),
+    [analysisPixels, compareTarget],
+  )
+
+  const activeCompareView = comparison ? compareView : 'off'
+
+  const differenceData = useMemo(
+    () => (comparison && activeCompareView === 'difference' ? buildDifferenceData(comparison, compareAmplification) : null),
+    [comparison, activeCompareView, compareAmplification],
+  )
+
+  // Whichever comparison canvas is mounted (mirror, swipe overlay or difference overlay) is redrawn
+  // when its source changes or the stage content remounts.
+  useEffect(() => {
+    const canvas = compareCanvasRef.current
+    if (!canvas || !comparison) return
+    const { width, height, data } = differenceData ? { ...comparison, data: differenceData } : compareTarget
+    canvas.width = width
+    canvas.height = height
+    canvas.getContext('2d')?.putImageData(new ImageData(data, width, height), 0, 0)
+  }, [activeCompareView, comparison, compareTarget, differenceData, netpbmTextError])
+
+  useEffect(() => {
+    const viewport = viewportRef.current
+    if (!viewport) return undefined
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect
+      setViewportSize({ width, height })
+    })
+    observer.observe(viewport)
+    return () => observer.disconnect()
+  }, [hasRenderTarget])
+
+  const imageWidth = renderTarget?.width ?? 0
+  const imageHeight = renderTarget?.height ?? 0
+
+  useEffect(() => {
+    setSelection(null)
+  }, [imageWidth, imageHeight])
+
+  useEffect(() => {
+    if (renderTarget?.kind === 'standard' || renderTarget?.kind === 'float') {
+      setTool((current) => (current === 'paint' ? 'inspect' : current))
+    }
+  }, [renderTarget?.kind])
+  const fitZoom =
+    imageWidth && imageHeight && viewportSize.width && viewportSize.height
+      ? Math.min(viewportSize.width / imageWidth, viewportSize.height / imageHeight)
+      : 1
+  const viewLayout =
+    view.mode === 'fit'
+      ? {
+          zoom: fitZoom,
+          x: (viewportSize.width - imageWidth * fitZoom) / 2,
+          y: (viewportSize.height - imageHeight * fitZoom) / 2,
+        }
+      : view
+  viewLayoutRef.current = { ...viewLayout, imageWidth, imageHeight, viewportSize }
+  liveImageRef.current = { renderTarget, netpbmText, netpbmTextError, netpbmTextErrorLocation, view, pins, measureLine }
+
+  const clampPan = useCallback((x, y, zoom) => {
+    const layout = viewLayoutRef.current
+    const contentWidth = layout.imageWidth * zoom
+    const contentHeight = layout.imageHeight * zoom
+    return {
+      x: Math.min(layout.viewportSize.width - PAN_MARGIN, Math.max(PAN_MARGIN - contentWidth, x)),
+      y: Math.min(layout.viewportSize.height - PAN_MARGIN, Math.max(PAN_MARGIN - contentHeight, y)),
+    }
+  }, [])
+
+  // Zooms so that the image point under (anchorX, anchorY) in viewport coordinates stays in place.
+  const zoomAround = useCallback(
+    (nextZoom, anchorX, anchorY) => {
+      const layout = viewLayoutRef.current
+      if (!layout?.imageWidth) return
+      const zoom = clampZoom(nextZoom)
+      const ratio = zoom / layout.zoom
+      const { x, y } = clampPan(anchorX - (anchorX - layout.x) * ratio, anchorY - (anchorY - layout.y) * ratio, zoom)
+      setView({ mode: 'manual', zoom, x, y })
+    },
+    [clampPan],
+  )
+
+  const zoomAroundCenter = useCallback(
+    (nextZoom) => {
+      const { viewportSize: size } = viewLayoutRef.current
+      zoomAround(nextZoom, size.width / 2, size.height / 2)
+    },
+    [zoomAround],
+  )
+
+  // React registers wheel listeners as passive, so preventDefault needs a native listener.
+  useEffect(() => {
+    const viewport = viewportRef.current
+    if (!viewport) return undefined
+    const onWheel = (event) => {
+      if (!viewLayoutRef.current?.imageWidth) return
+      event.preventDefault()
+      const rect = viewport.getBoundingClientRect()
+      const factor = Math.exp(-event.deltaY * 0.0015)
+      zoomAround(viewLayoutRef.current.zoom * factor, event.clientX - rect.left, event.clientY - rect.top)
+    }
+    viewport.addEventListener('wheel', onWheel, { passive: false })
+    return () => viewport.removeEventListener('wheel', onWheel)
+  }, [hasRenderTarget, zoomAround])
+
+  // Maps client coordinates to an image pixel. With clamp, points outside snap to the nearest edge pixel.
+  const getPixelFromClient = useCallback((clientX, clientY, { clamp = false } = {}) => {
+    const content = contentRef.current
+    const { imageWidth: width, imageHeight: height } = viewLayoutRef.current
+    if (!content || !width || !height) return null
+    const rect = content.getBoundingClientRect()
+    if (!rect.width || !rect.height) return null
+    let x = Math.floor(((clientX - rect.left) / rect.width) * width)
+    let y = Math.floor(((clientY - rect.top) / rect.height) * height)
+    if (clamp) {
+      x = Math.min(width - 1, Math.max(0, x))
+      y = Math.min(height - 1, Math.max(0, y))
+    } else if (x < 0 || y < 0 || x >= width || y >= height) {
+      return null
+    }
+    return { x, y }
+  }, [])
+
+  const getTokenIndex = useCallback((text) => {
+    const cache = tokenIndexCacheRef.current
+    if (cache.text !== text) {
+      tokenIndexCacheRef.current = { text, tokenIndex: indexNetpbmTextTokens(text) }
+    }
+    return tokenIndexCacheRef.current.tokenIndex
+  }, [])
+
+  const getPaintSamples = useCallback((target) => getColorSamples(target, paintColor, paintValue), [paintColor, paintValue])
+
+  // A stroke works on copies of the sample buffers so earlier image states stay untouched.
+  const beginPaintStroke = useCallback(() => {
+    if (!renderTarget || renderTarget.kind !== 'netpbm' || renderTarget.textTruncated || netpbmTextError) return false
+    const tokenIndex = indexNetpbmTextTokens(netpbmText)
+    if (!tokenIndex || tokenIndex.width !== renderTarget.width || tokenIndex.height !== renderTarget.height) return false
+    paintStrokeRef.current = {
+      target: {
+        ...renderTarget,
+        samples: renderTarget.samples.slice(),
+        data: renderTarget.data.slice(),
+        binarySource: null,
+      },
+      text: netpbmText,
+      tokenIndex,
+      values: getPaintSamples(renderTarget),
+      last: null,
+    }
+    return true
+  }, [renderTarget, netpbmText, netpbmTextError, getPaintSamples])
+
+  const paintAt = useCallback((clientX, clientY) => {
+    const stroke = paintStrokeRef.current
+    const point = stroke && getPixelFromClient(clientX, clientY)
+    if (!point) return
+    const { target, tokenIndex, values } = stroke
+    const from = stroke.last ?? point
+    if (stroke.last && from.x === point.x && from.y === point.y) return
+    const replacements = []
+    forEachLinePixel(from.x, from.y, point.x, point.y, (x, y) => {
+      const pixel = y * target.width + x
+      values.forEach((value, channel) => {
+        target.samples[pixel * target.depth + channel] = value
+        replacements.push({ token: pixel * tokenIndex.channels + channel, value: String(value) })
+      })
+      updateDisplayPixel(target, pixel)
+    })
+    stroke.last = point
+    stroke.text = replaceSampleTokens(stroke.text, tokenIndex, replacements)
+    tokenIndexCacheRef.current = { text: stroke.text, tokenIndex }
+    setNetpbmText(stroke.text)
+    setRenderTarget({ ...target })
+  }, [getPixelFromClient])
+
+  // Selects a character range in the editor and scrolls it into the middle of the textarea.
+  const selectEditorRange = useCallback((start, end) => {
+    const editor = netpbmEditorRef.current
+    if (!editor) return
+    editor.focus({ preventScroll: true })
+    editor.setSelectionRange(start, end)
+    const lineHeight = Number.parseFloat(window.getComputedStyle(editor).lineHeight) || 16
+    const line = editor.value.slice(0, start).split('\n').length - 1
+    editor.scrollTop = Math.max(0, line * lineHeight - editor.clientHeight / 2)
+  }, [])
+
+  // Selects the text tokens of a pixel so they are visible in the editor.
+  const selectPixelTokens = useCallback(
+    ({ x, y }) => {
+      const tokenIndex = netpbmEditorRef.current && getTokenIndex(netpbmText)
+      if (!tokenIndex) return
+      const firstToken = (y * tokenIndex.width + x) * tokenIndex.channels
+      selectEditorRange(tokenIndex.starts[firstToken], tokenIndex.ends[firstToken + tokenIndex.channels - 1])
+      setHighlightedPixel({ x, y })
+    },
+    [netpbmText, getTokenIndex, selectEditorRange],
+  )
+
+  const jumpToTextIssue = useCallback(
+    (issue) => {
+      const [start, end] = getIssueRange(netpbmText, issue)
+      selectEditorRange(start, end)
+    },
+    [netpbmText, selectEditorRange],
+  )
+
+  const syncEditorBackdrop = useCallback(() => {
+    const editor = netpbmEditorRef.current
+    if (!editor) return
+    const layers = [editorBackdropRef.current, editorHighlightRef.current]
+    layers.forEach((layer) => {
+      if (!layer) return
+      layer.scrollTop = editor.scrollTop
+      layer.scrollLeft = editor.scrollLeft
+    })
+  }, [])
+
+  const onNetpbmEditorSelect = useCallback(
+    (event) => {
+      const tokenIndex = getTokenIndex(event.currentTarget.value)
+      const token = tokenIndex && findTokenAt(tokenIndex, event.currentTarget.selectionStart)
+      if (token == null) {
+        setHighlightedPixel(null)
+        return
+      }
+      const pixel = Math.floor(token / tokenIndex.channels)
+      setHighlightedPixel({ x: pixel % tokenIndex.width, y: Math.floor(pixel / tokenIndex.width) })
+    },
+    [getTokenIndex],
+  )
+
+  const addPin = useCallback(({ x, y }) => {
+    setPins((current) => [
+      ...current,
+      { id: current.reduce((max, pin) => Math.max(max, pin.id), 0) + 1, label: getNextPinLabel(current), x, y },
+    ])
+  }, [])
+
+  const renamePin = useCallback((id, label) => {
+    setPins((current) => current.map((pin) => (pin.id === id ? { ...pin, label } : pin)))
+  }, [])
+
+  const removePin = useCallback((id) => {
+    setPins((current) => current.filter((pin) => pin.id !== id))
+  }, [])
+
+  // Places the pixel cursor, clamped to the image, and centers the view on it when it leaves the viewport.
+  const movePixelCursor = useCallback(
+    (x, y) => {
+      const layout = viewLayoutRef.current
+      if (!layout?.imageWidth) return
+      const point = {
+        x: Math.min(layout.imageWidth - 1, Math.max(0, x)),
+        y: Math.min(layout.imageHeight - 1, Math.max(0, y)),
+      }
+      setPixelCursor(point)
+      const { zoom, viewportSize: size } = layout
+      const left = layout.x + point.x * zoom
+      const top = layout.y + point.y * zoom
+      if (left < 0 || top < 0 || left + zoom > size.width || top + zoom > size.height) {
+        const pan = clampPan(size.width / 2 - (point.x + 0.5) * zoom, size.height / 2 - (point.y + 0.5) * zoom, zoom)
+        setView({ mode: 'manual', zoom, ...pan })
+      }
+    },
+    [clampPan],
+  )
+
+  const handleViewportKeyDown = useCallback(
+    (event) => {
+      const layout = viewLayoutRef.current
+      if (event.altKey || !layout?.imageWidth) return
+      if (event.key === 'Escape' && pixelCursor) {
+        event.preventDefault()
+        setPixelCursor(null)
+        return
+      }
+      const jump = event.ctrlKey || event.metaKey
+      const current = pixelCursor ?? { x: 0, y: 0 }
+      let next = null
+      if (CURSOR_KEYS[event.key]) {
+        const [stepX, stepY] = CURSOR_KEYS[event.key]
+        const step = (jump ? 100 : 1) * (event.shiftKey ? 10 : 1)
+        // The first key press only shows the cursor on the top left pixel.
+        next = pixelCursor ? { x: current.x + stepX * step, y: current.y + stepY * step } : current
+      } else if (event.key === 'Home') {
+        next = { x: 0, y: jump ? 0 : current.y }
+      } else if (event.key === 'End') {
+        next = { x: layout.imageWidth - 1, y: jump ? layout.imageHeight - 1 : current.y }
+      }
+      if (!next) return
+      event.preventDefault()
+      movePixelCursor(next.x, next.y)
+    },
+    [pixelCursor, movePixelCursor],
+  )
+
+  const handleViewportPointerDown = useCallback(
+    (event) => {
+      if (event.button !== 0 || !viewLayoutRef.current?.imageWidth) return
+      if (tool === 'paint' && beginPaintStroke()) {
+        event.currentTarget.setPointerCapture(event.pointerId)
+        paintAt(event.clientX, event.clientY)
+        return
+      }
+      if (tool === 'select' || tool === 'measure') {
+        const anchor = getPixelFromClient(event.clientX, event.clientY, { clamp: true })
+        if (!anchor) return
+        const dragRef = tool === 'select' ? selectionDragRef : measureDragRef
+        dragRef.current = { anchor, startX: event.clientX, startY: event.clientY, moved: false }
+        event.currentTarget.setPointerCapture(event.pointerId)
+        return
+      }
+      const layout = viewLayoutRef.current
+      panDragRef.current = {
+        startX: event.clientX,
+        startY: event.clientY,
+        originX: layout.x,
+        originY: layout.y,
+        moved: false,
       }
+      event.currentTarget.setPointerCapture(event.pointerId)
     },
-    [],
+    [tool, beginPaintStroke, paintAt, getPixelFromClient],
+  )
+
+  const handleViewportPointerMove = useCallback(
+    (event) => {
+      if (paintStrokeRef.current) {
+        paintAt(event.clientX, event.clientY)
+        return
+      }
+      const selectionDrag = selectionDragRef.current
+      if (selectionDrag) {
+        if (!selectionDrag.moved && Math.hypot(event.clientX - selectionDrag.startX, event.clientY - selectionDrag.startY) < CLICK_SLOP) {
+          return
+        }
+        selectionDrag.moved = true
+        const point = getPixelFromClient(event.clientX, event.clientY, { clamp: true })
+        if (point) setSelection(getSelectionRect(selectionDrag.anchor, point))
+        return
+      }
+      const measureDrag = measureDragRef.current
+      if (measureDrag) {
+        const distance = Math.hypot(event.clientX - measureDrag.startX, event.clientY - measureDrag.startY)
+        if (!measureDrag.moved && distance < CLICK_SLOP) return
+        measureDrag.moved = true
+        const point = getPixelFromClient(event.clientX, event.clientY, { clamp: true })
+        if (point) setMeasureLine({ start: measureDrag.anchor, end: point })
+        return
+      }
+      const drag = panDragRef.current
+      if (!drag) return
+      const deltaX = event.clientX - drag.startX
+      const deltaY = event.clientY - drag.startY
+      if (!drag.moved && Math.hypot(deltaX, deltaY) < CLICK_SLOP) return
+      if (!drag.moved) {
+        drag.moved = true
+        setIsPanning(true)
+      }
+      const { zoom } = viewLayoutRef.current
+      const { x, y } = clampPan(drag.originX + deltaX, drag.originY + deltaY, zoom)
+      setView({ mode: 'manual', zoom, x, y })
+      setTooltip(null)
+      setPickedColor(null)
+    },
+    [clampPan, paintAt, getPixelFromClient],
+  )
+
+  const handleViewportPointerUp = useCallback(
+    (event) => {
+      const drag = panDragRef.current
+      const stroke = paintStrokeRef.current
+      const selectionDrag = selectionDragRef.current
+      const measureDrag = measureDragRef.current
+      if (!drag && !stroke && !selectionDrag && !measureDrag) return
+      paintStrokeRef.current = null
+      selectionDragRef.current = null
+      measureDragRef.current = null
+      if (selectionDrag && !selectionDrag.moved) {
+        setSelection(null)
+      }
+      if (measureDrag && !measureDrag.moved) {
+        setMeasureLine(null)
+      }
+      if (stroke?.last) {
+        pushHistory('Paint', { renderTarget: { ...stroke.target }, netpbmText: stroke.text, netpbmTextError: '' })
+      }
+      panDragRef.current = null
+      if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+        event.currentTarget.releasePointerCapture(event.pointerId)
+      }
+      setIsPanning(false)
+      const isClick = drag && !drag.moved && event.type === 'pointerup'
+      const point = isClick ? getPixelFromClient(event.clientX, event.clientY) : null
+      if (!point) return
+      setPixelCursor(point)
+      if (tool === 'pin') {
+        addPin(point)
+      } else if (renderTarget?.kind === 'netpbm' && !netpbmTextError) {
+        selectPixelTokens(point)
+      }
+    },
+    [renderTarget, netpbmTextError, tool, getPixelFromClient, selectPixelTokens, pushHistory, addPin],
   )
 
   const stageStyle =
     renderTarget?.width && renderTarget?.height
-      ? { aspectRatio: renderTarget.width / renderTarget.height }
+      ? { aspectRatio: ((activeCompareView === 'side-by-side' ? 2 : 1) * renderTarget.width) / renderTarget.height }
       : { aspectRatio: 16 / 9 }
 
   const stageClassName = [
     'viewer__stage',
     renderTarget?.kind === 'netpbm' && netpbmTextError ? 'viewer__stage--error' : '',
+    activeCompareView === 'side-by-side' ? 'viewer__stage--split' : '',
   ]
     .filter(Boolean)
     .join(' ')
 
+  const comparePixel = pickedColor && compareTarget ? getComparePixel(compareTarget, pickedColor.x, pickedColor.y) : null
+
   const pickedHex =
     pickedColor != null
       ? `#${[pickedColor.r, pickedColor.g, pickedColor.b]
@@ -536,12 +1920,73 @@ function App() {
           .toUpperCase()}`
       : ''
 
+  // Warnings stay visible while the text has an error, they describe the last image that parsed.
+  const textWarnings = renderTarget?.kind === 'netpbm' ? renderTarget.warnings ?? [] : []
+
+  const editorMarks = useMemo(() => {
+    const marks = []
+    if (netpbmTextErrorLocation) {
+      marks.push({ range: getIssueRange(netpbmText, netpbmTextErrorLocation), kind: 'error' })
+    }
+    if (!netpbmTextError && renderTarget?.warningSource === 'text') {
+      renderTarget.warnings.forEach((warning) => {
+        if (warning.line != null) marks.push({ range: getIssueRange(netpbmText, warning), kind: 'warning' })
+      })
+    }
+    return marks.sort((a, b) => a.range[0] - b.range[0])
+  }, [netpbmText, netpbmTextError, netpbmTextErrorLocation, renderTarget])
+
+  // The backdrop mirrors the textarea text so issues can be underlined underneath the transparent editor.
+  const editorBackdrop = useMemo(() => {
+    if (editorMarks.length === 0) return null
+    const parts = []
+    let cursor = 0
+    editorMarks.forEach(({ range: [start, end], kind }) => {
+      if (start < cursor) return
+      parts.push(netpbmText.slice(cursor, start))
+      parts.push(
+        <mark key={start} className={`netpbm-text__mark netpbm-text__mark--${kind}`}>
+          {netpbmText.slice(start, end)}
+        </mark>,
+      )
+      cursor = end
+    })
+    parts.push(`${netpbmText.slice(cursor)} `)
+    return parts
+  }, [editorMarks, netpbmText])
+
+  // Syntax colors sit in a second layer under the issue marks; the editor's own text turns
+  // transparent while it is shown.
+  const editorHighlight = useMemo(() => {
+    if (renderTarget?.kind !== 'netpbm' || netpbmText.length > HIGHLIGHT_TEXT_LIMIT) return null
+    const parts = []
+    let cursor = 0
+    highlightNetpbmText(netpbmText).forEach(({ start, end, kind }) => {
+      if (start > cursor) parts.push(netpbmText.slice(cursor, start))
+      parts.push(
+        <span key={start} className={`netpbm-text__token netpbm-text__token--${kind}`}>
+          {netpbmText.slice(start, end)}
+        </span>,
+      )
+      cursor = end
+    })
+    parts.push(`${netpbmText.slice(cursor)} `)
+    return parts
+  }, [renderTarget?.kind, netpbmText])
+
+  useEffect(() => {
+    syncEditorBackdrop()
+  }, [editorBackdrop, editorHighlight, syncEditorBackdrop])
+
+  const showPickedAlpha = renderTarget?.kind === 'netpbm' && hasAlphaDepth(renderTarget.depth)
+
   return (
     <div className="app">
       <div className="hero">
         <h1>Online Image Viewer</h1>
         <p className="hero__tagline">
-          Drop or browse to preview common image formats, including raw Netpbm files (.ppm and .pgm).
+          Drop or browse to preview common image formats, including raw Netpbm files (.pbm, .pgm, .ppm and .pam)
+          and HDR float maps (.pfm).
         </p>
       </div>
 
@@ -553,28 +1998,225 @@ function App() {
         onDrop={onDrop}
       >
         <span className="dropzone__headline">Drag &amp; drop your image here</span>
-        <span className="dropzone__subtext">.png .jpg .gif .ppm .pgm and more</span>
+        <span className="dropzone__subtext">.png .jpg .gif .pbm .pgm .ppm .pam .pfm and more</span>
+      </div>
+
+      <div className="load-actions">
+        <label className="file-picker">
+          <input type="file" accept="image/*,.pbm,.pgm,.ppm,.pnm,.pam,.pfm" multiple onChange={onFilesSelected} />
+          Browse files
+        </label>
+        <button type="button" className="file-picker file-picker--secondary" onClick={() => setIsNewImageOpen(true)}>
+          New image
+        </button>
       </div>
 
-      <label className="file-picker">
-        <input type="file" accept="image/*,.ppm,.pgm" onChange={onFilesSelected} />
-        Browse files
-      </label>
+      {isNewImageOpen && <NewImageDialog onCreate={createNewImage} onClose={() => setIsNewImageOpen(false)} />}
+
+      <form className="url-loader" onSubmit={onSourceUrlSubmit}>
+        <input
+          type="text"
+          value={sourceUrl}
+          onChange={(event) => setSourceUrl(event.target.value)}
+          placeholder="/images/sample.ppm"
+          aria-label="Image URL on this site"
+        />
+        <button type="submit" className="zoom-controls__button" disabled={!sourceUrl.trim()}>
+          Open URL
+        </button>
+      </form>
+
+      {decodeProgress && (
+        <div className="decode-progress" role="status">
+          <span className="decode-progress__label">
+            {DECODE_PHASE_LABELS[decodeProgress.phase]} {decodeProgress.name}…
+          </span>
+          <progress max="1" value={decodeProgress.progress} />
+          <button type="button" className="zoom-controls__button" onClick={cancelDecode}>
+            Cancel
+          </button>
+        </div>
+      )}
 
       {error && <div className="error">{error}</div>}
 
+      {sessionImages.length > 0 && (
+        <SessionStrip
+          images={sessionImages}
+          activeId={activeImageId}
+          onSelect={selectSessionImage}
+          onDismiss={dismissSessionImage}
+        />
+      )}
+
+      {!renderTarget && (
+        <div className={`netpbm-text netpbm-text--draft${draftTextError ? ' netpbm-text--invalid' : ''}`}>
+          <div className="netpbm-text__header">
+            <span>Start from text</span>
+            <button
+              type="button"
+              className="zoom-controls__button"
+              disabled={!draftText.trim() || Boolean(draftTextError)}
+              onClick={openDraftText}
+            >
+              Open
+            </button>
+          </div>
+          <textarea
+            className="netpbm-text__editor"
+            value={draftText}
+            onChange={(event) => setDraftText(event.target.value)}
+            spellCheck={false}
+            placeholder={'P1\n# A 3×3 cross\n3 3\n0 1 0\n1 1 1\n0 1 0'}
+            aria-label="Netpbm text"
+          />
+          {draftTextError ? (
+            <span className="netpbm-text__error">{draftTextError}</span>
+          ) : (
+            <span className="netpbm-text__hint">
+              Type or paste P1/P2/P3 text here, or paste an image or Netpbm text anywhere on the page.
+            </span>
+          )}
+        </div>
+      )}
+
       {renderTarget && (
         <section className="viewer">
           <div className="meta">
             <span>{renderTarget.name}</span>
             {renderTarget.size !== undefined && <span>{prettyFileSize(renderTarget.size)}</span>}
-            {renderTarget.kind === 'netpbm' && <span>Format: {renderTarget.format}</span>}
+            {isPixelTarget(renderTarget) && <span>Format: {describeFormat(renderTarget)}</span>}
+            {renderTarget.kind === 'netpbm' && hasAlphaDepth(renderTarget.depth) && <span>Alpha channel</span>}
             {renderTarget.width && renderTarget.height && (
               <span>
                 {renderTarget.width} × {renderTarget.height}
               </span>
             )}
           </div>
+          <div className="zoom-controls">
+            <button
+              type="button"
+              className={`zoom-controls__button${view.mode === 'fit' ? ' zoom-controls__button--active' : ''}`}
+              onClick={() => setView({ mode: 'fit', zoom: 1, x: 0, y: 0 })}
+            >
+              Fit
+            </button>
+            {ZOOM_PRESETS.map((preset) => (
+              <button
+                key={preset}
+                type="button"
+                className={`zoom-controls__button${
+                  view.mode === 'manual' && view.zoom === preset ? ' zoom-controls__button--active' : ''
+                }`}
+                onClick={() => zoomAroundCenter(preset)}
+              >
+                {preset === 1 ? '1:1' : `${preset}×`}
+              </button>
+            ))}
+            <label className="zoom-controls__field">
+              Zoom
+              <input
+                type="number"
+                min={MIN_ZOOM * 100}
+                max={MAX_ZOOM * 100}
+                value={Math.round(viewLayout.zoom * 100)}
+                onChange={(event) => {
+                  const percent = Number(event.target.value)
+                  if (percent > 0) zoomAroundCenter(percent / 100)
+                }}
+              />
+              %
+            </label>
+            <label className="zoom-controls__field">
+              <input type="checkbox" checked={showPixelGrid} onChange={(event) => setShowPixelGrid(event.target.checked)} />
+              Pixel grid
+            </label>
+          </div>
+          {renderTarget.frames && (
+            <FrameControls
+              frames={renderTarget.frames}
+              frameIndex={renderTarget.frameIndex}
+              onSelect={showFrame}
+              isPlaying={isPlayingFrames}
+              onTogglePlay={() => setIsPlayingFrames((playing) => !playing)}
+              frameRate={frameRate}
+              onFrameRateChange={setFrameRate}
+            />
+          )}
+          <div className="stage-tools">
+            <div className="stage-tools__group" role="radiogroup" aria-label="Stage tool">
+              {[
+                { value: 'inspect', label: 'Inspect' },
+                { value: 'select', label: 'Select' },
+                { value: 'pin', label: 'Pin' },
+                { value: 'measure', label: 'Measure' },
+                { value: 'paint', label: 'Paint', netpbmOnly: true },
+              ]
+                .filter((option) => !option.netpbmOnly || renderTarget.kind === 'netpbm')
+                .map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    role="radio"
+                    aria-checked={tool === option.value}
+                    className={`zoom-controls__button${tool === option.value ? ' zoom-controls__button--active' : ''}`}
+                    onClick={() => setTool(option.value)}
+                    disabled={option.value === 'paint' && renderTarget.textTruncated}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+            </div>
+            {tool === 'paint' &&
+              renderTarget.kind === 'netpbm' &&
+              (isColorDepth(renderTarget.depth) ? (
+                <label className="zoom-controls__field">
+                  Color
+                  <input type="color" value={paintColor} onChange={(event) => setPaintColor(event.target.value)} />
+                </label>
+              ) : (
+                <label className="zoom-controls__field">
+                  {isBitmapFormat(renderTarget.format) ? 'Bit (1 = black)' : 'Gray value'}
+                  <input
+                    type="number"
+                    min="0"
+                    max={renderTarget.sourceMaxVal}
+                    value={paintValue}
+                    onChange={(event) => setPaintValue(event.target.value)}
+                  />
+                </label>
+              ))}
+            {isPixelTarget(renderTarget) && (
+              <div className="stage-tools__view">
+                <label className="zoom-controls__field">
+                  View
+                  <select value={activeViewMode} onChange={(event) => setViewMode(event.target.value)}>
+                    {VIEW_MODES.filter((mode) => isViewModeAvailable(mode.value, isColorTarget)).map((mode) => (
+                      <option key={mode.value} value={mode.value}>
+                        {mode.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {['red', 'green', 'blue'].includes(activeViewMode) && (
+                  <label className="zoom-controls__field">
+                    <input type="checkbox" checked={tintChannel} onChange={(event) => setTintChannel(event.target.checked)} />
+                    Tinted
+                  </label>
+                )}
+                {hasAlphaDepth(renderTarget.depth) && (
+                  <label className="zoom-controls__field">
+                    <input
+                      type="checkbox"
+                      checked={showCheckerboard}
+                      onChange={(event) => setShowCheckerboard(event.target.checked)}
+                    />
+                    Alpha checkerboard
+                  </label>
+                )}
+              </div>
+            )}
+          </div>
           <div
             ref={stageRef}
             className={stageClassName}
@@ -582,49 +2224,176 @@ function App() {
             onMouseMove={handleStageMouseMove}
             onMouseLeave={handleStagePointerLeave}
           >
-            {renderTarget.kind === 'netpbm' ? (
-              netpbmTextError ? (
+            <div
+              ref={viewportRef}
+              className={[
+                'viewer__viewport',
+                isPanning ? 'viewer__viewport--panning' : '',
+                tool === 'paint' && renderTarget.kind === 'netpbm' ? 'viewer__viewport--paint' : '',
+                tool === 'select' || tool === 'pin' || tool === 'measure' ? 'viewer__viewport--select' : '',
+              ]
+                .filter(Boolean)
+                .join(' ')}
+              onPointerDown={handleViewportPointerDown}
+              onPointerMove={handleViewportPointerMove}
+              onPointerUp={handleViewportPointerUp}
+              onPointerCancel={handleViewportPointerUp}
+              onKeyDown={handleViewportKeyDown}
+              tabIndex={0}
+              role="application"
+              aria-label="Image. Use the arrow keys to move the pixel cursor."
+            >
+              {renderTarget.kind === 'netpbm' && netpbmTextError ? (
                 <div className="viewer__placeholder">
                   <span className="viewer__placeholder-title">Cannot render Netpbm preview</span>
                   <span className="viewer__placeholder-message">{netpbmTextError}</span>
                 </div>
               ) : (
-                <canvas ref={canvasRef} onMouseMove={handleNetpbmPointerMove} onMouseLeave={handleStagePointerLeave} />
-              )
-            ) : (
-              <img
-                src={renderTarget.url}
-                alt={renderTarget.name}
-                onMouseLeave={handleStagePointerLeave}
-                onMouseMove={handleStandardImageMove}
-                onError={() => {
-                  setError('Unable to load the selected image')
-                  resetObjectUrl()
-                  setRenderTarget(null)
-                }}
-                onLoad={(event) => {
-                  const { naturalWidth, naturalHeight } = event.currentTarget
-                  if (analysisCanvasRef.current) {
-                    analysisCanvasRef.current.width = naturalWidth
-                    analysisCanvasRef.current.height = naturalHeight
-                    const ctx = analysisCanvasRef.current.getContext('2d', { willReadFrequently: true })
-                    try {
-                      ctx?.drawImage(event.currentTarget, 0, 0, naturalWidth, naturalHeight)
-                    } catch (drawError) {
-                      setPickerError('Unable to prepare image data for sampling')
-                    }
-                  }
-                  setRenderTarget((prev) => {
-                    if (!prev || prev.kind !== 'standard') return prev
-                    if (prev.width === naturalWidth && prev.height === naturalHeight) return prev
-                    return {
-                      ...prev,
-                      width: naturalWidth,
-                      height: naturalHeight,
-                    }
-                  })
-                }}
-              />
+                <div
+                  ref={contentRef}
+                  className={`viewer__content${
+                    showCheckerboard && renderTarget.kind === 'netpbm' && hasAlphaDepth(renderTarget.depth)
+                      ? ' viewer__content--checkerboard'
+                      : ''
+                  }`}
+                  style={{
+                    width: `${imageWidth * viewLayout.zoom}px`,
+                    height: `${imageHeight * viewLayout.zoom}px`,
+                    transform: `translate(${viewLayout.x}px, ${viewLayout.y}px)`,
+                  }}
+                >
+                  {isPixelTarget(renderTarget) ? (
+                    <canvas ref={canvasRef} onMouseMove={handleNetpbmPointerMove} onMouseLeave={handleStagePointerLeave} />
+                  ) : (
+                    <img
+                      src={renderTarget.url}
+                      alt={renderTarget.name}
+                      onMouseLeave={handleStagePointerLeave}
+                      onMouseMove={handleStandardImageMove}
+                      onError={() => {
+                        setError('Unable to load the selected image')
+                        revokeObjectUrl(renderTarget.url)
+                        setRenderTarget(null)
+                      }}
+                      onLoad={(event) => {
+                        const { naturalWidth, naturalHeight } = event.currentTarget
+                        if (analysisCanvasRef.current) {
+                          analysisCanvasRef.current.width = naturalWidth
+                          analysisCanvasRef.current.height = naturalHeight
+                          const ctx = analysisCanvasRef.current.getContext('2d', { willReadFrequently: true })
+                          try {
+                            ctx?.drawImage(event.currentTarget, 0, 0, naturalWidth, naturalHeight)
+                            const { data } = ctx.getImageData(0, 0, naturalWidth, naturalHeight)
+                            setStandardPixels({ url: renderTarget.url, data, width: naturalWidth, height: naturalHeight })
+                          } catch (drawError) {
+                            setPickerError('Unable to prepare image data for sampling')
+                          }
+                        }
+                      }}
+                    />
+                  )}
+                  {highlightedPixel &&
+                    renderTarget.kind === 'netpbm' &&
+                    highlightedPixel.x < imageWidth &&
+                    highlightedPixel.y < imageHeight && (
+                      <div
+                        className="viewer__highlight"
+                        style={{
+                          left: `${(highlightedPixel.x / imageWidth) * 100}%`,
+                          top: `${(highlightedPixel.y / imageHeight) * 100}%`,
+                          width: `${100 / imageWidth}%`,
+                          height: `${100 / imageHeight}%`,
+                        }}
+                      />
+                    )}
+                  {pixelCursor && pixelCursor.x < imageWidth && pixelCursor.y < imageHeight && (
+                    <div
+                      className="viewer__cursor"
+                      style={{
+                        left: `${(pixelCursor.x / imageWidth) * 100}%`,
+                        top: `${(pixelCursor.y / imageHeight) * 100}%`,
+                        width: `${100 / imageWidth}%`,
+                        height: `${100 / imageHeight}%`,
+                      }}
+                    />
+                  )}
+                  {selection && (
+                    <div
+                      className="viewer__selection"
+                      style={{
+                        left: `${(selection.x / imageWidth) * 100}%`,
+                        top: `${(selection.y / imageHeight) * 100}%`,
+                        width: `${(selection.width / imageWidth) * 100}%`,
+                        height: `${(selection.height / imageHeight) * 100}%`,
+                      }}
+                    />
+                  )}
+                  {(activeCompareView === 'swipe' || activeCompareView === 'difference') && (
+                    <canvas
+                      ref={compareCanvasRef}
+                      className="viewer__overlay"
+                      style={{
+                        width: `${((activeCompareView === 'swipe' ? compareTarget.width : comparison.width) / imageWidth) * 100}%`,
+                        height: `${((activeCompareView === 'swipe' ? compareTarget.height : comparison.height) / imageHeight) * 100}%`,
+                        clipPath:
+                          activeCompareView === 'swipe'
+                            ? `inset(0 0 0 ${Math.min(100, (compareSwipe * imageWidth) / compareTarget.width)}%)`
+                            : undefined,
+                      }}
+                    />
+                  )}
+                  {activeCompareView === 'swipe' && <div className="viewer__swipe-line" style={{ left: `${compareSwipe}%` }} />}
+                  {showPixelGrid && viewLayout.zoom >= GRID_MIN_ZOOM && (
+                    <div className="viewer__grid" style={{ backgroundSize: `${viewLayout.zoom}px ${viewLayout.zoom}px` }} />
+                  )}
+                  {measureLine && (
+                    <svg
+                      className="viewer__measure"
+                      viewBox={`0 0 ${imageWidth} ${imageHeight}`}
+                      preserveAspectRatio="none"
+                      aria-hidden="true"
+                    >
+                      <line
+                        x1={measureLine.start.x + 0.5}
+                        y1={measureLine.start.y + 0.5}
+                        x2={measureLine.end.x + 0.5}
+                        y2={measureLine.end.y + 0.5}
+                        vectorEffect="non-scaling-stroke"
+                      />
+                    </svg>
+                  )}
+                  {pins
+                    .filter((pin) => pin.x < imageWidth && pin.y < imageHeight)
+                    .map((pin) => (
+                      <span
+                        key={pin.id}
+                        className="viewer__pin"
+                        style={{
+                          left: `${((pin.x + 0.5) / imageWidth) * 100}%`,
+                          top: `${((pin.y + 0.5) / imageHeight) * 100}%`,
+                        }}
+                      >
+                        {pin.label}
+                      </span>
+                    ))}
+                </div>
+              )}
+            </div>
+            {previewImage && <span className="viewer__viewport-label">Filter preview</span>}
+            {activeCompareView === 'side-by-side' && (
+              <div className="viewer__viewport viewer__viewport--mirror" aria-label={`Comparison: ${compareTarget.name}`}>
+                <div
+                  className="viewer__content"
+                  style={{
+                    width: `${compareTarget.width * viewLayout.zoom}px`,
+                    height: `${compareTarget.height * viewLayout.zoom}px`,
+                    transform: `translate(${viewLayout.x}px, ${viewLayout.y}px)`,
+                  }}
+                >
+                  <canvas ref={compareCanvasRef} />
+                </div>
+                <span className="viewer__viewport-label">{compareTarget.name}</span>
+              </div>
             )}
             {pickedColor && tooltip && !netpbmTextError && (
               <div
@@ -638,8 +2407,25 @@ function App() {
                 <div className="picker-tooltip__details">
                   <span>{pickedHex}</span>
                   <span>
-                    RGB {pickedColor.r}, {pickedColor.g}, {pickedColor.b}
+                    {pickedColor.raw ? '8-bit ' : ''}
+                    {showPickedAlpha
+                      ? `RGBA ${pickedColor.r}, ${pickedColor.g}, ${pickedColor.b}, ${pickedColor.a}`
+                      : `RGB ${pickedColor.r}, ${pickedColor.g}, ${pickedColor.b}`}
                   </span>
+                  {pickedColor.raw &&
+                    (renderTarget.kind === 'float' ? (
+                      <span>Float {pickedColor.raw.map(formatFloatSample).join(', ')}</span>
+                    ) : (
+                      <span>
+                        Raw {pickedColor.raw.join(', ')} / {renderTarget.sourceMaxVal}
+                      </span>
+                    ))}
+                  {comparePixel && (
+                    <span className="picker-tooltip__compare">
+                      Compare RGB {comparePixel.rgb.join(', ')}
+                      {comparePixel.raw ? ` · raw ${comparePixel.raw.join(', ')} / ${compareTarget.sourceMaxVal}` : ''}
+                    </span>
+                  )}
                   <span>
                     {pickedColor.x}, {pickedColor.y}
                   </span>
@@ -647,28 +2433,303 @@ function App() {
               </div>
             )}
           </div>
+          <span className="viewer__announcement" role="status" aria-live="polite" aria-atomic="true">
+            {pixelCursorAnnouncement}
+          </span>
+          <PixelNeighborhood
+            target={renderTarget}
+            pixels={analysisPixels}
+            cursor={pixelCursor}
+            size={neighborhoodSize}
+            channel={neighborhoodChannel}
+            onSizeChange={setNeighborhoodSize}
+            onChannelChange={setNeighborhoodChannel}
+          />
+          {renderTarget.kind === 'float' && <ToneMappingPanel target={renderTarget} onChange={updateToneMapping} />}
           {renderTarget.kind === 'netpbm' && (
             <div className={`netpbm-text${netpbmTextError ? ' netpbm-text--invalid' : ''}`}>
               <div className="netpbm-text__header">
                 <span>Text representation</span>
                 <span className="netpbm-text__meta">
-                  Showing {renderTarget.format} as {renderTarget.format === 'P3' || renderTarget.format === 'P6' ? 'P3' : 'P2'}
+                  Showing {renderTarget.format} as {getEditableFormat(renderTarget)}
                 </span>
+                <button type="button" className="zoom-controls__button" onClick={copyShareLink}>
+                  Share link
+                </button>
               </div>
-              <textarea
-                className="netpbm-text__editor"
-                value={netpbmText}
-                onChange={onNetpbmTextChange}
-                spellCheck={false}
-                placeholder="Paste a P2/P3 Netpbm text representation here..."
-              />
+              {shareLink && (
+                <div className="netpbm-text__share" role="status">
+                  <span>{shareLink.message}</span>
+                  {shareLink.url && (
+                    <input type="text" readOnly value={shareLink.url} onFocus={(event) => event.target.select()} />
+                  )}
+                </div>
+              )}
+              <div className="netpbm-text__format" role="group" aria-label="Text formatting">
+                <label className="netpbm-text__option">
+                  <input
+                    type="checkbox"
+                    checked={textFormat.rowPerLine}
+                    onChange={(event) => changeTextFormat({ rowPerLine: event.target.checked })}
+                  />
+                  One image row per line
+                </label>
+                {getEditableFormat(renderTarget) === 'P3' && (
+                  <label className="netpbm-text__option">
+                    <input
+                      type="checkbox"
+                      checked={textFormat.groupPixels}
+                      onChange={(event) => changeTextFormat({ groupPixels: event.target.checked })}
+                    />
+                    Group RGB triplets
+                  </label>
+                )}
+                <label className="netpbm-text__option">
+                  <input
+                    type="checkbox"
+                    checked={textFormat.alignColumns}
+                    onChange={(event) => changeTextFormat({ alignColumns: event.target.checked })}
+                  />
+                  Align columns
+                </label>
+                <label className="netpbm-text__option">
+                  <input
+                    type="checkbox"
+                    checked={textFormat.comments}
+                    onChange={(event) => changeTextFormat({ comments: event.target.checked })}
+                  />
+                  Keep comments
+                </label>
+              </div>
+              <div className={`netpbm-text__field${textFormat.rowPerLine ? ' netpbm-text__field--rows' : ''}`}>
+                <div ref={editorHighlightRef} className="netpbm-text__backdrop" aria-hidden="true">
+                  {editorHighlight}
+                </div>
+                <div ref={editorBackdropRef} className="netpbm-text__backdrop" aria-hidden="true">
+                  {editorBackdrop}
+                </div>
+                <textarea
+                  ref={netpbmEditorRef}
+                  className={`netpbm-text__editor${editorHighlight ? ' netpbm-text__editor--highlighted' : ''}`}
+                  value={netpbmText}
+                  onChange={onNetpbmTextChange}
+                  onSelect={onNetpbmEditorSelect}
+                  readOnly={renderTarget.textTruncated}
+                  onScroll={syncEditorBackdrop}
+                  spellCheck={false}
+                  placeholder="Paste a P1/P2/P3 Netpbm text representation here..."
+                />
+              </div>
+              {renderTarget.textTruncated && (
+                <span className="netpbm-text__notice">
+                  This image is too large to edit as text, so only its first rows are shown and editing is disabled.
+                  <button type="button" className="netpbm-text__jump" onClick={loadFullText} disabled={Boolean(decodeProgress)}>
+                    Load full text
+                  </button>
+                </span>
+              )}
+              {textWarnings.length > 0 && (
+                <ul className="netpbm-text__warnings">
+                  {textWarnings.map((warning) => (
+                    <li key={`${warning.offset}-${warning.message}`}>
+                      {warning.message}
+                      {renderTarget.warningSource === 'text' && warning.line != null && (
+                        <button type="button" className="netpbm-text__jump" onClick={() => jumpToTextIssue(warning)}>
+                          Line {warning.line}, column {warning.column}
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
               {netpbmTextError ? (
-                <span className="netpbm-text__error">{netpbmTextError}</span>
+                <span className="netpbm-text__error">
+                  {netpbmTextError}
+                  {netpbmTextErrorLocation && (
+                    <button
+                      type="button"
+                      className="netpbm-text__jump"
+                      onClick={() => jumpToTextIssue(netpbmTextErrorLocation)}
+                    >
+                      Go to error
+                    </button>
+                  )}
+                </span>
               ) : (
-                <span className="netpbm-text__hint">Edit pixel values and metadata to update the preview instantly.</span>
+                <span className="netpbm-text__hint">
+                  Edit pixel values and metadata to update the preview instantly. Move the caret to highlight a pixel, or click
+                  a pixel to select its values.
+                </span>
               )}
             </div>
           )}
+          {renderTarget.kind === 'netpbm' && renderTarget.binarySource && (
+            <ByteInspector
+              key={activeImageId}
+              blob={renderTarget.binarySource.blob}
+              layouts={renderTarget.binarySource.layouts}
+              frameIndex={renderTarget.frameIndex}
+              hoveredPixel={pickedColor}
+              onLocatePixel={locateFilePixel}
+            />
+          )}
+          <ComparePanel
+            target={compareTarget}
+            comparison={comparison}
+            view={activeCompareView}
+            onViewChange={setCompareView}
+            swipe={compareSwipe}
+            onSwipeChange={setCompareSwipe}
+            amplification={compareAmplification}
+            onAmplificationChange={setCompareAmplification}
+            onFileSelected={loadCompareFile}
+            onClear={clearCompare}
+            isLoading={isCompareLoading}
+            error={compareError}
+          />
+          {renderTarget.kind === 'netpbm' && (
+            <TransformPanel
+              key={`${renderTarget.width}x${renderTarget.height}`}
+              width={renderTarget.width}
+              height={renderTarget.height}
+              isColor={isColorDepth(renderTarget.depth)}
+              isBitmap={isBitmapFormat(renderTarget.format)}
+              maxVal={renderTarget.sourceMaxVal}
+              selection={selection}
+              disabled={Boolean(netpbmTextError)}
+              onCrop={() => applyTransform('Crop', (image) => cropImage(image, selection))}
+              onRotate={(degrees) => applyTransform(`Rotate ${degrees}°`, (image) => rotateImage(image, degrees))}
+              onFlip={(axis) => applyTransform(`Flip ${axis}`, (image) => flipImage(image, axis))}
+              onPad={(size, { color, value }) =>
+                applyTransform(`Pad ${size} px`, (image) => {
+                  const fill = getColorSamples(image, color, value)
+                  if (hasAlphaDepth(image.depth)) fill.push(image.sourceMaxVal)
+                  return padImage(image, { top: size, right: size, bottom: size, left: size }, fill)
+                })
+              }
+              onResize={(width, height, method) =>
+                applyTransform(`Resize to ${width} × ${height}`, (image) => resizeImage(image, width, height, method))
+              }
+            />
+          )}
+          {renderTarget.kind === 'netpbm' && (
+            <FilterPanel
+              steps={filterSteps}
+              onStepsChange={setFilterSteps}
+              onAddStep={addFilterStep}
+              isColor={isColorDepth(renderTarget.depth)}
+              isPreviewing={isFilterPreviewing}
+              onPreviewChange={setIsFilterPreviewing}
+              error={filterStepsError}
+              disabled={Boolean(netpbmTextError)}
+              onApply={applyFilters}
+            />
+          )}
+          {analysisPixels && (
+            <StatsPanel pixels={analysisPixels} region={selection} onClearRegion={() => setSelection(null)} />
+          )}
+          <MeasurePanel
+            pins={pinReadouts}
+            line={measureLine}
+            pixels={analysisPixels}
+            onRenamePin={renamePin}
+            onRemovePin={removePin}
+            onClearPins={() => setPins([])}
+            onClearLine={() => setMeasureLine(null)}
+          />
+          {renderTarget.width && renderTarget.height && (
+            <div className="export-panel">
+              <span className="export-panel__title">Export</span>
+              <label className="export-panel__field">
+                Format
+                <select
+                  value={exportFormat}
+                  onChange={(event) => {
+                    setExportFormat(event.target.value)
+                    setExportError('')
+                  }}
+                >
+                  {EXPORT_FORMATS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="export-panel__field">
+                Max value
+                <input
+                  type="number"
+                  min="1"
+                  max="65535"
+                  value={exportMaxVal}
+                  placeholder={String(renderTarget.kind === 'netpbm' ? renderTarget.sourceMaxVal : 255)}
+                  disabled={exportFormat === 'PNG' || isBitmapFormat(exportFormat)}
+                  onChange={(event) => {
+                    setExportMaxVal(event.target.value)
+                    setExportError('')
+                  }}
+                />
+              </label>
+              <button
+                type="button"
+                className="export-panel__button"
+                onClick={handleExport}
+                disabled={renderTarget.kind === 'netpbm' && Boolean(netpbmTextError)}
+              >
+                Download
+              </button>
+              {renderTarget.frames && (
+                <button
+                  type="button"
+                  className="export-panel__button"
+                  onClick={handleExportFrames}
+                  disabled={!EXPORT_FORMATS.find((option) => option.value === exportFormat)?.stream || Boolean(netpbmTextError)}
+                  title="Only binary Netpbm formats can hold several images"
+                >
+                  Download all {renderTarget.frames.length} frames
+                </button>
+              )}
+              {exportError && <span className="export-panel__error">{exportError}</span>}
+            </div>
+          )}
+          {history.entries.length > 0 && (
+            <div className="history-panel">
+              <div className="history-panel__header">
+                <span className="history-panel__title">History</span>
+                <button type="button" className="zoom-controls__button" onClick={undo} disabled={history.index <= 0}>
+                  Undo
+                </button>
+                <button
+                  type="button"
+                  className="zoom-controls__button"
+                  onClick={redo}
+                  disabled={history.index >= history.entries.length - 1}
+                >
+                  Redo
+                </button>
+              </div>
+              <ol className="history-panel__list">
+                {history.entries.map((entry, index) => (
+                  <li key={entry.id}>
+                    <button
+                      type="button"
+                      className={[
+                        'history-panel__entry',
+                        index === history.index ? 'history-panel__entry--current' : '',
+                        index > history.index ? 'history-panel__entry--undone' : '',
+                      ]
+                        .filter(Boolean)
+                        .join(' ')}
+                      onClick={() => restoreHistory(index)}
+                    >
+                      {entry.label}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
           {pickerError && <span className="picker-error">{pickerError}</span>}
           <canvas ref={analysisCanvasRef} className="analysis-canvas" aria-hidden="true" />
         </section>
@@ -0,0 +1,174 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { BYTE_KINDS, createByteClassifier, getBytePixel, getPixelByteRange } from './byteLayout'
+import { CHANNEL_NAMES } from './netpbm'
+
+const BYTES_PER_ROW = 16
+const ROW_HEIGHT = 20
+const VISIBLE_ROWS = 16
+
+const toHex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0')
+
+const toPrintable = (byte) => (byte >= 32 && byte < 127 ? String.fromCharCode(byte) : '.')
+
+const describeRasterByte = (layout, position) => {
+  if (position.bits !== undefined) return `Pixels ${position.x}–${position.x + position.bits - 1} of row ${position.y}`
+  const channel = CHANNEL_NAMES[layout.depth][position.channel].toLowerCase()
+  return `Pixel (${position.x}, ${position.y}), ${channel}${position.half ? `, ${position.half} byte` : ''}`
+}
+
+// Hex view of the bytes of a binary Netpbm file as it was loaded, colored by what each byte
+// encodes. Only the visible rows are rendered, so large files stay responsive.
+function ByteInspector({ blob, layouts, frameIndex, hoveredPixel, onLocatePixel }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [bytes, setBytes] = useState(null)
+  const [readError, setReadError] = useState('')
+  const [scrollTop, setScrollTop] = useState(0)
+  const [selectedOffset, setSelectedOffset] = useState(null)
+  const scrollRef = useRef(null)
+
+  useEffect(() => {
+    if (!isOpen) return undefined
+    let cancelled = false
+    blob.arrayBuffer().then(
+      (buffer) => {
+        if (!cancelled) setBytes(new Uint8Array(buffer))
+      },
+      () => {
+        if (!cancelled) setReadError('Unable to read the file bytes')
+      },
+    )
+    return () => {
+      cancelled = true
+    }
+  }, [blob, isOpen])
+
+  const classify = useMemo(() => createByteClassifier(layouts), [layouts])
+  const layout = layouts[frameIndex]
+  const highlight = hoveredPixel ? getPixelByteRange(layout, hoveredPixel.x, hoveredPixel.y) : null
+  const highlightRow = highlight ? Math.floor(highlight.start / BYTES_PER_ROW) : null
+
+  // Scrolls the hovered pixel's bytes into view when they are off screen.
+  useEffect(() => {
+    const container = scrollRef.current
+    if (highlightRow === null || !container) return
+    const firstVisible = Math.ceil(container.scrollTop / ROW_HEIGHT)
+    if (highlightRow < firstVisible || highlightRow >= firstVisible + VISIBLE_ROWS - 1) {
+      container.scrollTop = Math.max(0, (highlightRow - Math.floor(VISIBLE_ROWS / 2)) * ROW_HEIGHT)
+    }
+  }, [highlightRow])
+
+  const separator = layout.segments.find((segment) => segment.kind === 'separator')
+  const separatorLength = separator ? separator.end - separator.start : 0
+  const lastLayout = layouts[layouts.length - 1]
+  const presentKinds = new Set(['raster', 'whitespace'])
+  layouts.forEach((item) => item.segments.forEach(({ kind }) => presentKinds.add(kind)))
+  if (bytes && bytes.length > lastLayout.rasterOffset + lastLayout.rasterLength) presentKinds.add('trailing')
+
+  const findRasterLayout = (offset) =>
+    layouts.find((item) => offset >= item.rasterOffset && offset < item.rasterOffset + item.rasterLength)
+
+  const onByteClick = (offset) => {
+    setSelectedOffset(offset)
+    const frame = findRasterLayout(offset)
+    if (!frame) return
+    const position = getBytePixel(frame, offset)
+    onLocatePixel(layouts.indexOf(frame), position.x, position.y)
+  }
+
+  const renderRows = () => {
+    const rowCount = Math.ceil(bytes.length / BYTES_PER_ROW)
+    const firstRow = Math.floor(scrollTop / ROW_HEIGHT)
+    const lastRow = Math.min(rowCount, firstRow + VISIBLE_ROWS + 1)
+    const rows = []
+    for (let row = firstRow; row < lastRow; row += 1) {
+      const rowStart = row * BYTES_PER_ROW
+      const cells = []
+      const characters = []
+      for (let offset = rowStart; offset < Math.min(bytes.length, rowStart + BYTES_PER_ROW); offset += 1) {
+        const kind = classify(offset)
+        const isHighlighted = highlight && offset >= highlight.start && offset < highlight.end
+        const className = [
+          'byte-inspector__byte',
+          `byte-inspector__byte--${kind}`,
+          isHighlighted ? 'byte-inspector__byte--highlighted' : '',
+          offset === selectedOffset ? 'byte-inspector__byte--selected' : '',
+        ]
+          .filter(Boolean)
+          .join(' ')
+        const frame = findRasterLayout(offset)
+        const title = frame
+          ? `${describeRasterByte(frame, getBytePixel(frame, offset))} — byte 0x${toHex(offset, 6)}`
+          : `${BYTE_KINDS.find((entry) => entry.kind === kind).label} — byte 0x${toHex(offset, 6)}`
+        cells.push(
+          <button key={offset} type="button" className={className} title={title} onClick={() => onByteClick(offset)}>
+            {toHex(bytes[offset], 2)}
+          </button>,
+        )
+        characters.push(toPrintable(bytes[offset]))
+      }
+      rows.push(
+        <div key={row} className="byte-inspector__row" style={{ top: row * ROW_HEIGHT }}>
+          <span className="byte-inspector__offset">{toHex(rowStart, 6)}</span>
+          <span className="byte-inspector__bytes">{cells}</span>
+          <span className="byte-inspector__ascii">{characters.join('')}</span>
+        </div>,
+      )
+    }
+    return (
+      <div className="byte-inspector__spacer" style={{ height: rowCount * ROW_HEIGHT }}>
+        {rows}
+      </div>
+    )
+  }
+
+  return (
+    <div className="byte-inspector">
+      <div className="byte-inspector__header">
+        <span className="byte-inspector__title">File bytes</span>
+        <span className="byte-inspector__scope">
+          {layout.format}, raster at byte {layout.rasterOffset}
+          {layout.bytesPerSample === 2 && layout.format !== 'P4' && ', 16-bit big-endian samples'}
+        </span>
+        <button type="button" className="zoom-controls__button" onClick={() => setIsOpen((open) => !open)}>
+          {isOpen ? 'Hide' : 'Show'}
+        </button>
+      </div>
+      {isOpen && (
+        <>
+          <ul className="byte-inspector__legend">
+            {BYTE_KINDS.filter(({ kind }) => presentKinds.has(kind)).map(({ kind, label }) => (
+              <li key={kind}>
+                <span className={`byte-inspector__swatch byte-inspector__byte--${kind}`} aria-hidden="true" />
+                {label}
+              </li>
+            ))}
+          </ul>
+          {separator && separatorLength !== 1 && (
+            <span className="byte-inspector__note">
+              The raster starts {separatorLength} bytes after the {layout.format === 'P4' ? 'height' : 'max value'}. The
+              format expects a single whitespace byte there; this viewer also skips extra whitespace and comment lines,
+              which would misread a raster whose first bytes look like whitespace.
+            </span>
+          )}
+          {readError && <span className="byte-inspector__note">{readError}</span>}
+          {bytes && (
+            <div
+              ref={scrollRef}
+              className="byte-inspector__view"
+              style={{ height: VISIBLE_ROWS * ROW_HEIGHT }}
+              onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+            >
+              {renderRows()}
+            </div>
+          )}
+          <span className="byte-inspector__hint">
+            Hover a pixel to highlight its bytes; click a raster byte to locate its pixel. The bytes are the file as it
+            was loaded, without later edits.
+          </span>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ByteInspector
@@ -0,0 +1,118 @@
+import { DIFF_AMPLIFICATIONS } from './compare'
+
+export const COMPARE_VIEWS = [
+  { value: 'off', label: 'Off' },
+  { value: 'side-by-side', label: 'Side by side' },
+  { value: 'swipe', label: 'Swipe' },
+  { value: 'difference', label: 'Difference' },
+]
+
+const formatMetric = (value) => (Number.isFinite(value) ? value.toFixed(2) : '∞')
+
+function ComparePanel({
+  target,
+  comparison,
+  view,
+  onViewChange,
+  swipe,
+  onSwipeChange,
+  amplification,
+  onAmplificationChange,
+  onFileSelected,
+  onClear,
+  isLoading,
+  error,
+}) {
+  return (
+    <div className="compare-panel">
+      <div className="compare-panel__header">
+        <span className="compare-panel__title">Compare</span>
+        <span className="compare-panel__name">
+          {isLoading ? 'Loading…' : target ? `${target.name} · ${target.width} × ${target.height}` : 'No comparison image'}
+        </span>
+        <label className="zoom-controls__button compare-panel__picker">
+          <input
+            type="file"
+            accept="image/*,.pbm,.pgm,.ppm,.pnm,.pam,.pfm"
+            onChange={(event) => {
+              onFileSelected(event.target.files?.[0])
+              event.target.value = ''
+            }}
+          />
+          {target ? 'Replace' : 'Load image'}
+        </label>
+        {target && (
+          <button type="button" className="zoom-controls__button" onClick={onClear}>
+            Remove
+          </button>
+        )}
+      </div>
+      {error && <span className="compare-panel__error">{error}</span>}
+      {target && comparison && (
+        <>
+          <div className="compare-panel__controls">
+            <div className="stage-tools__group" role="radiogroup" aria-label="Comparison view">
+              {COMPARE_VIEWS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  role="radio"
+                  aria-checked={view === option.value}
+                  className={`zoom-controls__button${view === option.value ? ' zoom-controls__button--active' : ''}`}
+                  onClick={() => onViewChange(option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {view === 'swipe' && (
+              <label className="zoom-controls__field">
+                Position
+                <input type="range" min="0" max="100" value={swipe} onChange={(event) => onSwipeChange(Number(event.target.value))} />
+              </label>
+            )}
+            {view === 'difference' && (
+              <label className="zoom-controls__field">
+                Amplify
+                <select value={amplification} onChange={(event) => onAmplificationChange(Number(event.target.value))}>
+                  {DIFF_AMPLIFICATIONS.map((factor) => (
+                    <option key={factor} value={factor}>
+                      {factor}×
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+          <dl className="compare-panel__metrics">
+            <div>
+              <dt>Max abs error</dt>
+              <dd>{comparison.maxAbsError}</dd>
+            </div>
+            <div>
+              <dt>MSE</dt>
+              <dd>{formatMetric(comparison.mse)}</dd>
+            </div>
+            <div>
+              <dt>PSNR</dt>
+              <dd>{formatMetric(comparison.psnr)} dB</dd>
+            </div>
+            <div>
+              <dt>Differing pixels</dt>
+              <dd>
+                {comparison.differingPixels.toLocaleString()} / {(comparison.width * comparison.height).toLocaleString()}
+              </dd>
+            </div>
+          </dl>
+          <span className="compare-panel__footer">
+            {comparison.sizeMatches
+              ? 'Computed on 8-bit display values'
+              : `Sizes differ; comparing the overlapping ${comparison.width} × ${comparison.height} area`}
+          </span>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ComparePanel
@@ -0,0 +1,144 @@
+import { useState } from 'react'
+import { FILTERS, getFilter } from './filters'
+
+// Builds a list of filter steps. The stage previews the pipeline while it is edited; Apply writes
+// the result into the image and its text.
+function FilterPanel({
+  steps,
+  onStepsChange,
+  onAddStep,
+  isColor,
+  isPreviewing,
+  onPreviewChange,
+  error,
+  disabled,
+  onApply,
+}) {
+  const availableFilters = FILTERS.filter((filter) => isColor || !filter.colorOnly)
+  const [nextType, setNextType] = useState(availableFilters[0].type)
+
+  const updateStep = (id, params) => {
+    onStepsChange(steps.map((step) => (step.id === id ? { ...step, params: { ...step.params, ...params } } : step)))
+  }
+
+  const moveStep = (index, offset) => {
+    const next = steps.slice()
+    const [step] = next.splice(index, 1)
+    next.splice(index + offset, 0, step)
+    onStepsChange(next)
+  }
+
+  return (
+    <div className="filter-panel">
+      <div className="filter-panel__header">
+        <span className="filter-panel__title">Filters</span>
+        <select value={nextType} onChange={(event) => setNextType(event.target.value)} aria-label="Filter to add">
+          {availableFilters.map((filter) => (
+            <option key={filter.type} value={filter.type}>
+              {filter.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="zoom-controls__button"
+          disabled={disabled}
+          onClick={() => onAddStep(nextType)}
+        >
+          Add
+        </button>
+      </div>
+      {steps.length > 0 && (
+        <ol className="filter-panel__steps">
+          {steps.map((step, index) => {
+            const filter = getFilter(step.type)
+            return (
+              <li key={step.id} className="filter-panel__step">
+                <div className="filter-panel__step-header">
+                  <span className="filter-panel__step-name">{filter.label}</span>
+                  <button
+                    type="button"
+                    className="zoom-controls__button"
+                    aria-label={`Move ${filter.label} up`}
+                    disabled={index === 0}
+                    onClick={() => moveStep(index, -1)}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    className="zoom-controls__button"
+                    aria-label={`Move ${filter.label} down`}
+                    disabled={index === steps.length - 1}
+                    onClick={() => moveStep(index, 1)}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    className="zoom-controls__button"
+                    aria-label={`Remove ${filter.label}`}
+                    onClick={() => onStepsChange(steps.filter((item) => item.id !== step.id))}
+                  >
+                    ×
+                  </button>
+                </div>
+                {filter.params.map((param) => (
+                  <label key={param.key} className="filter-panel__param">
+                    <span>{param.label}</span>
+                    <input
+                      type="range"
+                      min={param.min}
+                      max={param.max}
+                      step={param.step}
+                      value={step.params[param.key]}
+                      onChange={(event) => updateStep(step.id, { [param.key]: Number(event.target.value) })}
+                    />
+                    <span className="filter-panel__value">{step.params[param.key]}</span>
+                  </label>
+                ))}
+                {step.type === 'kernel' && (
+                  <>
+                    <textarea
+                      className="filter-panel__kernel"
+                      rows={5}
+                      spellCheck={false}
+                      value={step.params.kernel}
+                      aria-label="Kernel values, 3×3 or 5×5"
+                      onChange={(event) => updateStep(step.id, { kernel: event.target.value })}
+                    />
+                    <label className="zoom-controls__field">
+                      <input
+                        type="checkbox"
+                        checked={step.params.normalize}
+                        onChange={(event) => updateStep(step.id, { normalize: event.target.checked })}
+                      />
+                      Divide by the kernel sum
+                    </label>
+                  </>
+                )}
+              </li>
+            )
+          })}
+        </ol>
+      )}
+      {error && <span className="filter-panel__error">{error}</span>}
+      {steps.length > 0 && (
+        <div className="filter-panel__actions">
+          <label className="zoom-controls__field">
+            <input type="checkbox" checked={isPreviewing} onChange={(event) => onPreviewChange(event.target.checked)} />
+            Preview on stage
+          </label>
+          <button type="button" className="zoom-controls__button" onClick={() => onStepsChange([])}>
+            Clear
+          </button>
+          <button type="button" className="export-panel__button" disabled={disabled || Boolean(error)} onClick={onApply}>
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FilterPanel
@@ -0,0 +1,72 @@
+const MIN_FRAME_RATE = 1
+const MAX_FRAME_RATE = 60
+
+// Frame selector for Netpbm streams holding several images, with the current frame's header data.
+function FrameControls({ frames, frameIndex, onSelect, isPlaying, onTogglePlay, frameRate, onFrameRateChange }) {
+  const frame = frames[frameIndex]
+  const lastIndex = frames.length - 1
+
+  return (
+    <div className="frame-controls">
+      <div className="frame-controls__row">
+        <span className="frame-controls__title">
+          Frame {frameIndex + 1} / {frames.length}
+        </span>
+        <button
+          type="button"
+          className="zoom-controls__button"
+          aria-label="Previous frame"
+          onClick={() => onSelect(frameIndex === 0 ? lastIndex : frameIndex - 1)}
+        >
+          ‹
+        </button>
+        <button
+          type="button"
+          className={`zoom-controls__button${isPlaying ? ' zoom-controls__button--active' : ''}`}
+          aria-pressed={isPlaying}
+          onClick={onTogglePlay}
+        >
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <button
+          type="button"
+          className="zoom-controls__button"
+          aria-label="Next frame"
+          onClick={() => onSelect(frameIndex === lastIndex ? 0 : frameIndex + 1)}
+        >
+          ›
+        </button>
+        <input
+          className="frame-controls__slider"
+          type="range"
+          min="0"
+          max={lastIndex}
+          value={frameIndex}
+          aria-label="Frame"
+          onChange={(event) => onSelect(Number(event.target.value))}
+        />
+        <label className="zoom-controls__field">
+          FPS
+          <input
+            type="number"
+            min={MIN_FRAME_RATE}
+            max={MAX_FRAME_RATE}
+            value={frameRate}
+            onChange={(event) => {
+              const value = Number(event.target.value)
+              if (Number.isFinite(value)) onFrameRateChange(Math.min(MAX_FRAME_RATE, Math.max(MIN_FRAME_RATE, value)))
+            }}
+          />
+        </label>
+      </div>
+      <span className="frame-controls__meta">
+        {frame.format} · {frame.width} × {frame.height}
+        {frame.depth > 1 ? ` × ${frame.depth}` : ''} · max {frame.sourceMaxVal}
+        {frame.tupleType ? ` · ${frame.tupleType}` : ''} · bytes {frame.offset.toLocaleString()}–
+        {(frame.offset + frame.byteLength).toLocaleString()}
+      </span>
+    </div>
+  )
+}
+
+export default FrameControls
@@ -0,0 +1,171 @@
+import { useMemo, useState } from 'react'
+import { getDistance, getLineProfile, INTENSITY_CHANNELS, isInsideImage } from './measure'
+
+const formatLength = (value) => value.toFixed(2)
+
+// Polyline of one channel in a 256 × 100 viewBox, with distance along x and 0–255 along y.
+const getProfilePoints = (profile, key, length) =>
+  profile
+    .map((point) => `${((point.distance / length) * 256).toFixed(2)},${(100 - (point[key] / 255) * 100).toFixed(2)}`)
+    .join(' ')
+
+const escapeCsv = (value) => {
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+const toCsv = (rows) => rows.map((row) => row.map(escapeCsv).join(',')).join('\n')
+
+// Pinned sample points with their values, and the line drawn with the Measure tool with its length
+// and intensity profile. Readouts follow edits of the image; pins outside it show no values.
+function MeasurePanel({ pins, line, pixels, onRenamePin, onRemovePin, onClearPins, onClearLine }) {
+  const [copyStatus, setCopyStatus] = useState('')
+  const lineInside = Boolean(line && pixels && isInsideImage(pixels, line.start) && isInsideImage(pixels, line.end))
+  const profile = useMemo(
+    () => (lineInside ? getLineProfile(pixels, line.start, line.end) : null),
+    [lineInside, pixels, line],
+  )
+  const length = line ? getDistance(line.start, line.end) : 0
+
+  const copyCsv = async (label, rows) => {
+    try {
+      await navigator.clipboard.writeText(toCsv(rows))
+      setCopyStatus(`${label} copied as CSV`)
+    } catch (copyError) {
+      setCopyStatus('Copying to the clipboard is not allowed here')
+    }
+  }
+
+  const copyPins = () =>
+    copyCsv('Pins', [
+      ['label', 'x', 'y', 'red', 'green', 'blue', 'samples'],
+      ...pins.map(({ label, x, y, readout }) => [label, x, y, ...(readout?.rgb ?? ['', '', '']), readout?.raw ?? '']),
+    ])
+
+  const copyProfile = () =>
+    copyCsv('Profile', [
+      ['distance', 'x', 'y', 'red', 'green', 'blue', 'luminance'],
+      ...profile.map(({ distance, x, y, r, g, b, l }) => [formatLength(distance), x, y, r, g, b, l.toFixed(1)]),
+    ])
+
+  return (
+    <div className="measure-panel">
+      <div className="measure-panel__header">
+        <span className="measure-panel__title">Measurements</span>
+        <span className="measure-panel__scope">
+          {pins.length} pin{pins.length === 1 ? '' : 's'}
+          {line ? ` · line of ${formatLength(length)} px` : ''}
+        </span>
+        {copyStatus && (
+          <span className="measure-panel__status" role="status">
+            {copyStatus}
+          </span>
+        )}
+      </div>
+      {!pins.length && !line && (
+        <span className="measure-panel__hint">
+          Click pixels with the Pin tool to keep their values here, or drag with the Measure tool to measure a distance
+          and plot the intensity along the line.
+        </span>
+      )}
+      {pins.length > 0 && (
+        <>
+          <table className="measure-panel__table">
+            <thead>
+              <tr>
+                <th scope="col">Label</th>
+                <th scope="col">Position</th>
+                <th scope="col">RGB</th>
+                <th scope="col">Samples</th>
+                <th scope="col">From previous</th>
+                <th scope="col" aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {pins.map((pin, index) => (
+                <tr key={pin.id}>
+                  <td>
+                    <input
+                      type="text"
+                      className="measure-panel__label"
+                      value={pin.label}
+                      aria-label={`Label of the pin at ${pin.x}, ${pin.y}`}
+                      onChange={(event) => onRenamePin(pin.id, event.target.value)}
+                    />
+                  </td>
+                  <td>
+                    {pin.x}, {pin.y}
+                  </td>
+                  <td>{pin.readout ? pin.readout.rgb.join(', ') : 'Outside the image'}</td>
+                  <td>{pin.readout?.raw ?? ''}</td>
+                  <td>{index > 0 ? `${formatLength(getDistance(pins[index - 1], pin))} px` : ''}</td>
+                  <td>
+                    <button type="button" className="zoom-controls__button" onClick={() => onRemovePin(pin.id)}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="measure-panel__actions">
+            <button type="button" className="zoom-controls__button" onClick={copyPins}>
+              Copy pins as CSV
+            </button>
+            <button type="button" className="zoom-controls__button" onClick={onClearPins}>
+              Remove all pins
+            </button>
+          </div>
+        </>
+      )}
+      {line && (
+        <div className="measure-panel__line">
+          <span>
+            From {line.start.x}, {line.start.y} to {line.end.x}, {line.end.y} · Δx {line.end.x - line.start.x} · Δy{' '}
+            {line.end.y - line.start.y} · length {formatLength(length)} px
+          </span>
+          {profile && length > 0 && (
+            <figure className="measure-panel__profile">
+              <svg viewBox="0 0 256 100" preserveAspectRatio="none" role="img" aria-label="Intensity profile along the line">
+                {INTENSITY_CHANNELS.map(({ key, color }) => (
+                  <polyline
+                    key={key}
+                    points={getProfilePoints(profile, key, length)}
+                    fill="none"
+                    stroke={color}
+                    strokeWidth="1.5"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                ))}
+              </svg>
+              <figcaption>
+                {INTENSITY_CHANNELS.map(({ key, label, color }) => (
+                  <span key={key} className="measure-panel__legend">
+                    <span className="measure-panel__swatch" style={{ backgroundColor: color }} aria-hidden="true" />
+                    {label}
+                  </span>
+                ))}
+                <span>{profile.length} pixels · 8-bit display values from 0 to 255</span>
+              </figcaption>
+            </figure>
+          )}
+          {pixels && !lineInside && (
+            <span className="measure-panel__hint">The line no longer lies inside the image.</span>
+          )}
+          <div className="measure-panel__actions">
+            {profile && (
+              <button type="button" className="zoom-controls__button" onClick={copyProfile}>
+                Copy profile as CSV
+              </button>
+            )}
+            <button type="button" className="zoom-controls__button" onClick={onClearLine}>
+              Remove line
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MeasurePanel
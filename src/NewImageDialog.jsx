@@ -0,0 +1,141 @@
+import { useEffect, useRef, useState } from 'react'
+import { getPattern, PATTERNS } from './generators'
+
+const MAX_DIMENSION = 2048
+const MAX_SAMPLE_VALUE = 65535
+
+const parseInteger = (value, min, max) => {
+  const number = Number.parseInt(value, 10)
+  return Number.isFinite(number) && number >= min && number <= max ? number : null
+}
+
+// Modal form for a blank image or a test pattern. App renders it only while it is open.
+function NewImageDialog({ onCreate, onClose }) {
+  const dialogRef = useRef(null)
+  const [pattern, setPattern] = useState('blank')
+  const [format, setFormat] = useState('P3')
+  const [width, setWidth] = useState('64')
+  const [height, setHeight] = useState('64')
+  const [maxVal, setMaxVal] = useState('255')
+  const [primaryColor, setPrimaryColor] = useState('#ffffff')
+  const [secondaryColor, setSecondaryColor] = useState('#000000')
+  const [cellSize, setCellSize] = useState('8')
+
+  useEffect(() => {
+    dialogRef.current?.showModal()
+  }, [])
+
+  const { twoColors, cells } = getPattern(pattern)
+  const usesColors = pattern === 'blank' || twoColors
+  const options = {
+    pattern,
+    format,
+    width: parseInteger(width, 1, MAX_DIMENSION),
+    height: parseInteger(height, 1, MAX_DIMENSION),
+    maxVal: parseInteger(maxVal, 1, MAX_SAMPLE_VALUE),
+    colors: [primaryColor, secondaryColor],
+    cellSize: parseInteger(cellSize, 1, MAX_DIMENSION),
+  }
+  const isValid = options.width && options.height && options.maxVal && (!cells || options.cellSize)
+
+  const onSubmit = (event) => {
+    event.preventDefault()
+    if (isValid) onCreate(options)
+  }
+
+  return (
+    <dialog ref={dialogRef} className="new-image" onClose={onClose}>
+      <form className="new-image__form" onSubmit={onSubmit}>
+        <span className="new-image__title">New image</span>
+        <label className="zoom-controls__field">
+          Pattern
+          <select value={pattern} onChange={(event) => setPattern(event.target.value)}>
+            {PATTERNS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="new-image__row">
+          <label className="zoom-controls__field">
+            Width
+            <input
+              type="number"
+              min="1"
+              max={MAX_DIMENSION}
+              value={width}
+              onChange={(event) => setWidth(event.target.value)}
+            />
+          </label>
+          <label className="zoom-controls__field">
+            Height
+            <input
+              type="number"
+              min="1"
+              max={MAX_DIMENSION}
+              value={height}
+              onChange={(event) => setHeight(event.target.value)}
+            />
+          </label>
+        </div>
+        <div className="new-image__row">
+          <label className="zoom-controls__field">
+            Type
+            <select value={format} onChange={(event) => setFormat(event.target.value)}>
+              <option value="P2">P2 (grayscale)</option>
+              <option value="P3">P3 (color)</option>
+            </select>
+          </label>
+          <label className="zoom-controls__field">
+            Max value
+            <input
+              type="number"
+              min="1"
+              max={MAX_SAMPLE_VALUE}
+              value={maxVal}
+              onChange={(event) => setMaxVal(event.target.value)}
+            />
+          </label>
+        </div>
+        {usesColors && (
+          <div className="new-image__row">
+            <label className="zoom-controls__field">
+              {twoColors ? 'From' : 'Fill'}
+              <input type="color" value={primaryColor} onChange={(event) => setPrimaryColor(event.target.value)} />
+            </label>
+            {twoColors && (
+              <label className="zoom-controls__field">
+                To
+                <input
+                  type="color"
+                  value={secondaryColor}
+                  onChange={(event) => setSecondaryColor(event.target.value)}
+                />
+              </label>
+            )}
+            {cells && (
+              <label className="zoom-controls__field">
+                Cell size
+                <input type="number" min="1" value={cellSize} onChange={(event) => setCellSize(event.target.value)} />
+              </label>
+            )}
+          </div>
+        )}
+        {format === 'P2' && usesColors && (
+          <span className="new-image__hint">Colors are converted to gray using their luma.</span>
+        )}
+        <div className="new-image__actions">
+          <button type="button" className="zoom-controls__button" onClick={() => dialogRef.current?.close()}>
+            Cancel
+          </button>
+          <button type="submit" className="export-panel__button" disabled={!isValid}>
+            Create
+          </button>
+        </div>
+      </form>
+    </dialog>
+  )
+}
+
+export default NewImageDialog
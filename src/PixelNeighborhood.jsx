@@ -0,0 +1,111 @@
+import { useMemo } from 'react'
+import { getNeighborhood } from './measure'
+import { CHANNEL_NAMES, formatFloatSample } from './netpbm'
+
+export const NEIGHBORHOOD_SIZES = [3, 5, 7, 9]
+
+// Light text on dark pixels and dark text on light ones, using the Rec. 601 luminance.
+const getCellStyle = (data, index) => {
+  const r = data[index]
+  const g = data[index + 1]
+  const b = data[index + 2]
+  return {
+    backgroundColor: `rgb(${r}, ${g}, ${b})`,
+    color: 0.299 * r + 0.587 * g + 0.114 * b < 128 ? '#ffffff' : '#121a34',
+  }
+}
+
+// Numeric values of one channel around the keyboard pixel cursor. Netpbm and float images show
+// their stored samples; standard images show the 8-bit display values. Cells take the pixel's color.
+function PixelNeighborhood({ target, pixels, cursor, size, channel, onSizeChange, onChannelChange }) {
+  const hasSamples = Boolean(target.samples)
+  const channelNames = hasSamples ? CHANNEL_NAMES[target.depth] : CHANNEL_NAMES[4]
+  const activeChannel = channel < channelNames.length ? channel : 0
+  const rows = useMemo(() => {
+    if (!cursor || !pixels) return null
+    const source = hasSamples
+      ? { values: target.samples, width: target.width, height: target.height, channels: target.depth }
+      : { values: pixels.data, width: pixels.width, height: pixels.height, channels: 4 }
+    return getNeighborhood(source, cursor, size, activeChannel)
+  }, [cursor, pixels, hasSamples, target, size, activeChannel])
+  const formatValue = target.kind === 'float' ? formatFloatSample : String
+
+  return (
+    <div className="neighborhood">
+      <div className="neighborhood__header">
+        <span className="neighborhood__title">Pixel neighborhood</span>
+        <span className="neighborhood__scope">
+          {cursor ? `Around ${cursor.x}, ${cursor.y}` : 'No pixel selected'}
+          {hasSamples
+            ? ` · stored ${target.kind === 'float' ? 'float values' : `samples up to ${target.sourceMaxVal}`}`
+            : ' · 8-bit display values'}
+        </span>
+        <label className="zoom-controls__field">
+          Size
+          <select value={size} onChange={(event) => onSizeChange(Number(event.target.value))}>
+            {NEIGHBORHOOD_SIZES.map((option) => (
+              <option key={option} value={option}>
+                {option} × {option}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="zoom-controls__field">
+          Channel
+          <select value={activeChannel} onChange={(event) => onChannelChange(Number(event.target.value))}>
+            {channelNames.map((name, index) => (
+              <option key={name} value={index}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {rows ? (
+        <table className="neighborhood__table">
+          <caption className="neighborhood__caption">
+            {channelNames[activeChannel]} values around pixel {cursor.x}, {cursor.y}
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col">y \ x</th>
+              {rows[0].map(({ x }) => (
+                <th key={x} scope="col">
+                  {x}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row[0].y}>
+                <th scope="row">{row[0].y}</th>
+                {row.map(({ x, y, value }) => {
+                  const isCenter = x === cursor.x && y === cursor.y
+                  return (
+                    <td
+                      key={x}
+                      className={`neighborhood__cell${isCenter ? ' neighborhood__cell--center' : ''}`}
+                      style={value === null ? undefined : getCellStyle(pixels.data, (y * pixels.width + x) * 4)}
+                      aria-current={isCenter ? 'true' : undefined}
+                    >
+                      {value === null ? '' : formatValue(value)}
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <span className="neighborhood__hint">
+          Focus the image with Tab and use the arrow keys to move the pixel cursor: Shift moves 10 pixels, Ctrl or Cmd
+          100, Home and End jump to the row ends (with Ctrl or Cmd, to the corners) and Escape hides the cursor.
+          Clicking a pixel also places it.
+        </span>
+      )}
+    </div>
+  )
+}
+
+export default PixelNeighborhood
@@ -0,0 +1,85 @@
+// Thumbnails of every image opened in this session. The strip is a listbox: arrow keys, Home and
+// End move between decoded images; entries that failed to decode only show their error.
+function SessionStrip({ images, activeId, onSelect, onDismiss }) {
+  const readyImages = images.filter((image) => image.status === 'ready')
+
+  const onKeyDown = (event) => {
+    const index = readyImages.findIndex((image) => image.id === activeId)
+    let next = null
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowUp') {
+      next = readyImages[Math.max(0, index - 1)]
+    } else if (event.key === 'ArrowRight' || event.key === 'ArrowDown') {
+      next = readyImages[Math.min(readyImages.length - 1, index + 1)]
+    } else if (event.key === 'Home') {
+      next = readyImages[0]
+    } else if (event.key === 'End') {
+      next = readyImages[readyImages.length - 1]
+    }
+    if (!next) return
+    event.preventDefault()
+    onSelect(next.id)
+  }
+
+  return (
+    <div className="session-strip">
+      <span className="session-strip__title">
+        Session · {images.length} {images.length === 1 ? 'image' : 'images'}
+        <span className="session-strip__hint">[ and ] switch images</span>
+      </span>
+      <ul
+        className="session-strip__list"
+        role="listbox"
+        aria-label="Opened images"
+        aria-activedescendant={activeId != null ? `session-image-${activeId}` : undefined}
+        tabIndex={0}
+        onKeyDown={onKeyDown}
+      >
+        {images.map((image) => (
+          <li
+            key={image.id}
+            id={`session-image-${image.id}`}
+            role="option"
+            aria-selected={image.id === activeId}
+            aria-disabled={image.status !== 'ready'}
+            className={[
+              'session-strip__item',
+              image.id === activeId ? 'session-strip__item--active' : '',
+              image.status === 'error' ? 'session-strip__item--error' : '',
+            ]
+              .filter(Boolean)
+              .join(' ')}
+            title={image.error || image.name}
+            onClick={() => image.status === 'ready' && onSelect(image.id)}
+          >
+            <span className="session-strip__thumbnail">
+              {image.thumbnail ? (
+                <img src={image.thumbnail} alt="" />
+              ) : (
+                <span className="session-strip__status">{image.status === 'error' ? '!' : '…'}</span>
+              )}
+            </span>
+            <span className="session-strip__name">{image.name}</span>
+            {image.status === 'error' && (
+              <>
+                <span className="session-strip__error">{image.error}</span>
+                <button
+                  type="button"
+                  className="session-strip__dismiss"
+                  aria-label={`Dismiss ${image.name}`}
+                  onClick={(event) => {
+                    event.stopPropagation()
+                    onDismiss(image.id)
+                  }}
+                >
+                  ×
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default SessionStrip
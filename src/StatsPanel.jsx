@@ -0,0 +1,127 @@
+import { useMemo } from 'react'
+import { INTENSITY_CHANNELS } from './measure'
+
+// Histograms and moments of the 8-bit RGBA display buffer, optionally limited to a region.
+// Luminance uses Rec. 601 weights; unique colors count distinct RGB triplets with a 2^24 bitset.
+const computeImageStats = (data, imageWidth, { x, y, width, height }) => {
+  const histograms = Object.fromEntries(INTENSITY_CHANNELS.map(({ key }) => [key, new Uint32Array(256)]))
+  const seenColors = new Uint32Array(1 << 19)
+  let uniqueColors = 0
+  for (let row = y; row < y + height; row += 1) {
+    for (let column = x; column < x + width; column += 1) {
+      const base = (row * imageWidth + column) * 4
+      const r = data[base]
+      const g = data[base + 1]
+      const b = data[base + 2]
+      histograms.r[r] += 1
+      histograms.g[g] += 1
+      histograms.b[b] += 1
+      histograms.l[Math.round(0.299 * r + 0.587 * g + 0.114 * b)] += 1
+      const color = (r << 16) | (g << 8) | b
+      const bit = 1 << (color & 31)
+      if (!(seenColors[color >> 5] & bit)) {
+        seenColors[color >> 5] |= bit
+        uniqueColors += 1
+      }
+    }
+  }
+
+  const pixelCount = width * height
+  const channels = INTENSITY_CHANNELS.map(({ key }) => {
+    const histogram = histograms[key]
+    let min = -1
+    let max = 0
+    let sum = 0
+    let sumOfSquares = 0
+    let peak = 0
+    for (let value = 0; value < 256; value += 1) {
+      const count = histogram[value]
+      if (!count) continue
+      if (min === -1) min = value
+      max = value
+      sum += value * count
+      sumOfSquares += value * value * count
+      peak = Math.max(peak, count)
+    }
+    const mean = pixelCount ? sum / pixelCount : 0
+    const variance = pixelCount ? Math.max(0, sumOfSquares / pixelCount - mean * mean) : 0
+    return { key, histogram, peak, min: Math.max(min, 0), max, mean, std: Math.sqrt(variance) }
+  })
+  return { pixelCount, uniqueColors, channels }
+}
+
+// Step outline of a 256-bin histogram in a 256 × 100 viewBox.
+const getHistogramPath = (histogram, peak) => {
+  const commands = ['M0,100']
+  for (let value = 0; value < 256; value += 1) {
+    const top = peak ? 100 - (histogram[value] / peak) * 100 : 100
+    commands.push(`L${value},${top.toFixed(2)}`, `L${value + 1},${top.toFixed(2)}`)
+  }
+  commands.push('L256,100Z')
+  return commands.join('')
+}
+
+function StatsPanel({ pixels, region, onClearRegion }) {
+  const stats = useMemo(
+    () => computeImageStats(pixels.data, pixels.width, region ?? { x: 0, y: 0, width: pixels.width, height: pixels.height }),
+    [pixels, region],
+  )
+
+  return (
+    <div className="stats-panel">
+      <div className="stats-panel__header">
+        <span className="stats-panel__title">Statistics</span>
+        <span className="stats-panel__scope">
+          {region
+            ? `Region ${region.x}, ${region.y} · ${region.width} × ${region.height}`
+            : `Whole image · ${pixels.width} × ${pixels.height}`}
+        </span>
+        {region && (
+          <button type="button" className="zoom-controls__button" onClick={onClearRegion}>
+            Whole image
+          </button>
+        )}
+      </div>
+      <div className="stats-panel__histograms">
+        {stats.channels.map((channel) => {
+          const { label, color } = INTENSITY_CHANNELS.find(({ key }) => key === channel.key)
+          return (
+            <figure key={channel.key} className="stats-panel__histogram">
+              <svg viewBox="0 0 256 100" preserveAspectRatio="none" role="img" aria-label={`${label} histogram`}>
+                <path d={getHistogramPath(channel.histogram, channel.peak)} fill={color} fillOpacity="0.75" />
+              </svg>
+              <figcaption>{label}</figcaption>
+            </figure>
+          )
+        })}
+      </div>
+      <table className="stats-panel__table">
+        <thead>
+          <tr>
+            <th scope="col">Channel</th>
+            <th scope="col">Min</th>
+            <th scope="col">Max</th>
+            <th scope="col">Mean</th>
+            <th scope="col">Std. dev.</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.channels.map((channel) => (
+            <tr key={channel.key}>
+              <th scope="row">{INTENSITY_CHANNELS.find(({ key }) => key === channel.key).label}</th>
+              <td>{channel.min}</td>
+              <td>{channel.max}</td>
+              <td>{channel.mean.toFixed(2)}</td>
+              <td>{channel.std.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <span className="stats-panel__footer">
+        {stats.pixelCount.toLocaleString()} pixels · {stats.uniqueColors.toLocaleString()} unique colors · 8-bit display values
+      </span>
+    </div>
+  )
+}
+
+export default StatsPanel
@@ -0,0 +1,85 @@
+import { useMemo } from 'react'
+import { TONE_MAPPING_OPERATORS } from './netpbm'
+
+const MIN_EXPOSURE = -8
+const MAX_EXPOSURE = 8
+
+const formatExposure = (exposure) => `${exposure > 0 ? '+' : ''}${exposure.toFixed(1)} EV`
+
+// Smallest and largest stored sample, so users can pick an exposure that brings the range into view.
+const getSampleRange = (samples) => {
+  let min = Infinity
+  let max = -Infinity
+  for (let i = 0; i < samples.length; i += 1) {
+    if (samples[i] < min) min = samples[i]
+    if (samples[i] > max) max = samples[i]
+  }
+  return { min, max }
+}
+
+// Display settings of a PFM image. The stored float samples never change; the canvas, statistics
+// and exports use the tone-mapped 8-bit pixels.
+function ToneMappingPanel({ target, onChange }) {
+  const range = useMemo(() => getSampleRange(target.samples), [target.samples])
+
+  return (
+    <div className="tone-panel">
+      <div className="tone-panel__header">
+        <span className="tone-panel__title">Tone mapping</span>
+        <span className="tone-panel__scope">
+          32-bit float {target.depth === 3 ? 'RGB' : 'gray'} · {target.littleEndian ? 'little' : 'big'}-endian · scale{' '}
+          {target.scale} · samples {range.min.toPrecision(4)} to {range.max.toPrecision(4)}
+        </span>
+      </div>
+      <div className="tone-panel__controls">
+        <label className="zoom-controls__field">
+          Exposure
+          <input
+            type="range"
+            min={MIN_EXPOSURE}
+            max={MAX_EXPOSURE}
+            step="0.1"
+            value={target.exposure}
+            onChange={(event) => onChange({ exposure: Number(event.target.value) })}
+          />
+          <span className="tone-panel__value">{formatExposure(target.exposure)}</span>
+        </label>
+        <button
+          type="button"
+          className="zoom-controls__button"
+          onClick={() => onChange({ exposure: 0 })}
+          disabled={target.exposure === 0}
+        >
+          Reset
+        </button>
+        <div className="stage-tools__group" role="radiogroup" aria-label="Tone mapping operator">
+          {TONE_MAPPING_OPERATORS.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              role="radio"
+              aria-checked={target.toneMapping === option.value}
+              className={`zoom-controls__button${target.toneMapping === option.value ? ' zoom-controls__button--active' : ''}`}
+              onClick={() => onChange({ toneMapping: option.value })}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {target.warnings.length > 0 && (
+        <ul className="tone-panel__warnings">
+          {target.warnings.map((warning) => (
+            <li key={`${warning.offset}-${warning.message}`}>{warning.message}</li>
+          ))}
+        </ul>
+      )}
+      <span className="tone-panel__hint">
+        Exposure scales the linear values by 2 to the power of the EV before the operator maps them to the screen. The
+        picker shows the stored float values.
+      </span>
+    </div>
+  )
+}
+
+export default ToneMappingPanel
@@ -0,0 +1,146 @@
+import { useState } from 'react'
+import { RESIZE_METHODS } from './transforms'
+
+const MAX_DIMENSION = 16384
+
+const parseDimension = (value) => {
+  const number = Number.parseInt(value, 10)
+  return Number.isFinite(number) && number > 0 && number <= MAX_DIMENSION ? number : null
+}
+
+// Crop, rotate, flip, pad and resize controls. App keys this panel on the image size, so the
+// inputs start from the current dimensions after every change.
+function TransformPanel({
+  width,
+  height,
+  isColor,
+  isBitmap,
+  maxVal,
+  selection,
+  disabled,
+  onCrop,
+  onRotate,
+  onFlip,
+  onPad,
+  onResize,
+}) {
+  const [padSize, setPadSize] = useState('1')
+  const [padColor, setPadColor] = useState('#ffffff')
+  const [padValue, setPadValue] = useState(String(maxVal))
+  const [resizeWidth, setResizeWidth] = useState(String(width))
+  const [resizeHeight, setResizeHeight] = useState(String(height))
+  const [keepAspect, setKeepAspect] = useState(true)
+  const [resizeMethod, setResizeMethod] = useState('nearest')
+
+  const padPixels = Number.parseInt(padSize, 10)
+  const isPadValid = Number.isFinite(padPixels) && padPixels > 0 && Math.max(width, height) + padPixels * 2 <= MAX_DIMENSION
+  const targetWidth = parseDimension(resizeWidth)
+  const targetHeight = parseDimension(resizeHeight)
+
+  const onResizeWidthChange = (value) => {
+    setResizeWidth(value)
+    const next = parseDimension(value)
+    if (keepAspect && next) setResizeHeight(String(Math.max(1, Math.round((next * height) / width))))
+  }
+
+  const onResizeHeightChange = (value) => {
+    setResizeHeight(value)
+    const next = parseDimension(value)
+    if (keepAspect && next) setResizeWidth(String(Math.max(1, Math.round((next * width) / height))))
+  }
+
+  return (
+    <div className="transform-panel">
+      <span className="transform-panel__title">Transform</span>
+      <div className="transform-panel__row">
+        <button type="button" className="zoom-controls__button" disabled={disabled || !selection} onClick={onCrop}>
+          Crop to selection
+        </button>
+        <button type="button" className="zoom-controls__button" disabled={disabled} onClick={() => onRotate(90)}>
+          Rotate 90°
+        </button>
+        <button type="button" className="zoom-controls__button" disabled={disabled} onClick={() => onRotate(180)}>
+          180°
+        </button>
+        <button type="button" className="zoom-controls__button" disabled={disabled} onClick={() => onRotate(270)}>
+          270°
+        </button>
+        <button type="button" className="zoom-controls__button" disabled={disabled} onClick={() => onFlip('horizontal')}>
+          Flip horizontal
+        </button>
+        <button type="button" className="zoom-controls__button" disabled={disabled} onClick={() => onFlip('vertical')}>
+          Flip vertical
+        </button>
+      </div>
+      <div className="transform-panel__row">
+        <label className="zoom-controls__field">
+          Pad
+          <input type="number" min="1" value={padSize} onChange={(event) => setPadSize(event.target.value)} />
+          px
+        </label>
+        {isColor ? (
+          <label className="zoom-controls__field">
+            Color
+            <input type="color" value={padColor} onChange={(event) => setPadColor(event.target.value)} />
+          </label>
+        ) : (
+          <label className="zoom-controls__field">
+            {isBitmap ? 'Bit (1 = black)' : 'Gray value'}
+            <input type="number" min="0" max={maxVal} value={padValue} onChange={(event) => setPadValue(event.target.value)} />
+          </label>
+        )}
+        <button
+          type="button"
+          className="zoom-controls__button"
+          disabled={disabled || !isPadValid}
+          onClick={() => onPad(padPixels, { color: padColor, value: padValue })}
+        >
+          Pad
+        </button>
+      </div>
+      <div className="transform-panel__row">
+        <label className="zoom-controls__field">
+          Width
+          <input
+            type="number"
+            min="1"
+            max={MAX_DIMENSION}
+            value={resizeWidth}
+            onChange={(event) => onResizeWidthChange(event.target.value)}
+          />
+        </label>
+        <label className="zoom-controls__field">
+          Height
+          <input
+            type="number"
+            min="1"
+            max={MAX_DIMENSION}
+            value={resizeHeight}
+            onChange={(event) => onResizeHeightChange(event.target.value)}
+          />
+        </label>
+        <label className="zoom-controls__field">
+          <input type="checkbox" checked={keepAspect} onChange={(event) => setKeepAspect(event.target.checked)} />
+          Keep aspect ratio
+        </label>
+        <select value={resizeMethod} onChange={(event) => setResizeMethod(event.target.value)} aria-label="Resampling">
+          {RESIZE_METHODS.map((method) => (
+            <option key={method.value} value={method.value}>
+              {method.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="zoom-controls__button"
+          disabled={disabled || !targetWidth || !targetHeight}
+          onClick={() => onResize(targetWidth, targetHeight, resizeMethod)}
+        >
+          Resize
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default TransformPanel
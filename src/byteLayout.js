@@ -0,0 +1,73 @@
+// Maps between pixels and the bytes of a binary Netpbm file, using the `layout` the parser records
+// for each image of the file.
+
+export const BYTE_KINDS = [
+  { kind: 'magic', label: 'Magic number' },
+  { kind: 'comment', label: 'Comment' },
+  { kind: 'width', label: 'Width' },
+  { kind: 'height', label: 'Height' },
+  { kind: 'depth', label: 'Depth' },
+  { kind: 'maxval', label: 'Max value' },
+  { kind: 'tupltype', label: 'Tuple type' },
+  { kind: 'endhdr', label: 'ENDHDR' },
+  { kind: 'separator', label: 'Separator' },
+  { kind: 'whitespace', label: 'Whitespace' },
+  { kind: 'raster', label: 'Raster' },
+  { kind: 'trailing', label: 'Outside any image' },
+]
+
+const getRowBytes = (layout) => Math.ceil(layout.width / 8)
+
+// Returns a function giving the kind of the byte at an offset. Header kinds are precomputed per
+// image; comments inside the separator win over the separator itself.
+export const createByteClassifier = (layouts) => {
+  const headers = layouts.map((layout) => {
+    const kinds = new Array(layout.rasterOffset - layout.offset).fill('whitespace')
+    const paint = ({ kind, start, end }) => {
+      kinds.fill(kind, start - layout.offset, end - layout.offset)
+    }
+    layout.segments.filter(({ kind }) => kind === 'separator').forEach(paint)
+    layout.segments.filter(({ kind }) => kind !== 'separator').forEach(paint)
+    return kinds
+  })
+  return (offset) => {
+    const index = layouts.findIndex(
+      (layout) => offset >= layout.offset && offset < layout.rasterOffset + layout.rasterLength,
+    )
+    if (index === -1) return 'trailing'
+    const layout = layouts[index]
+    return offset >= layout.rasterOffset ? 'raster' : headers[index][offset - layout.offset]
+  }
+}
+
+// Byte range [start, end) holding a pixel. P4 packs eight pixels into each byte.
+export const getPixelByteRange = (layout, x, y) => {
+  if (x < 0 || y < 0 || x >= layout.width || y >= layout.height) return null
+  if (layout.format === 'P4') {
+    const start = layout.rasterOffset + y * getRowBytes(layout) + (x >> 3)
+    return { start, end: start + 1 }
+  }
+  const pixelBytes = layout.depth * layout.bytesPerSample
+  const start = layout.rasterOffset + (y * layout.width + x) * pixelBytes
+  return { start, end: start + pixelBytes }
+}
+
+// The pixel a raster byte belongs to, with its channel and, for 16-bit samples, which half of the
+// big-endian pair it is. P4 bytes report their first pixel and bit count. Header bytes give null.
+export const getBytePixel = (layout, offset) => {
+  const relative = offset - layout.rasterOffset
+  if (relative < 0 || relative >= layout.rasterLength) return null
+  if (layout.format === 'P4') {
+    const rowBytes = getRowBytes(layout)
+    const x = (relative % rowBytes) * 8
+    return { x, y: Math.floor(relative / rowBytes), bits: Math.min(8, layout.width - x) }
+  }
+  const sample = Math.floor(relative / layout.bytesPerSample)
+  const pixel = Math.floor(sample / layout.depth)
+  return {
+    x: pixel % layout.width,
+    y: Math.floor(pixel / layout.width),
+    channel: sample % layout.depth,
+    half: layout.bytesPerSample === 2 ? (relative % 2 === 0 ? 'high' : 'low') : null,
+  }
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest'
+import { createByteClassifier, getBytePixel, getPixelByteRange } from './byteLayout'
+import { parseNetpbm } from './netpbm'
+
+const bytesOf = (header, raster) => Uint8Array.from([...new TextEncoder().encode(header), ...raster])
+
+describe('createByteClassifier', () => {
+  it('lets comments inside the separator keep their own kind', () => {
+    const image = parseNetpbm(bytesOf('P5\n1 1\n255\n# note\n', [7, 0]))
+    const classify = createByteClassifier([image.layout])
+    expect(Array.from({ length: 20 }, (_, offset) => classify(offset))).toEqual([
+      'magic',
+      'magic',
+      'whitespace',
+      'width',
+      'whitespace',
+      'height',
+      'whitespace',
+      'maxval',
+      'maxval',
+      'maxval',
+      'separator',
+      'comment',
+      'comment',
+      'comment',
+      'comment',
+      'comment',
+      'comment',
+      'separator',
+      'raster',
+      'trailing',
+    ])
+  })
+})
+
+describe('pixel and byte mapping', () => {
+  it('covers both bytes of every 16-bit sample', () => {
+    const { layout } = parseNetpbm(bytesOf('P6\n2 1\n65535\n', new Array(12).fill(0)))
+    expect(getPixelByteRange(layout, 1, 0)).toEqual({ start: 19, end: 25 })
+    expect(getBytePixel(layout, 24)).toEqual({ x: 1, y: 0, channel: 2, half: 'low' })
+    expect(getBytePixel(layout, 12)).toBeNull()
+  })
+
+  it('maps packed bitmap bytes to runs of eight pixels', () => {
+    const { layout } = parseNetpbm(bytesOf('P4\n10 2\n', [0, 0, 0, 0]))
+    expect(getPixelByteRange(layout, 9, 1)).toEqual({ start: 11, end: 12 })
+    expect(getBytePixel(layout, 11)).toEqual({ x: 8, y: 1, bits: 2 })
+    expect(getPixelByteRange(layout, 10, 0)).toBeNull()
+  })
+})
@@ -0,0 +1,285 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import {
+  CHANNEL_NAMES,
+  describeFormat,
+  encodeNetpbm,
+  getEditableFormat,
+  NetpbmParseError,
+  parseNetpbm,
+  validateNetpbm,
+} from './netpbm.js'
+
+// Command-line companion to the viewer. It shares src/netpbm.js with the app, so files parse
+// exactly as they do in the browser. bin/netpbm.js calls run() with the process streams. PFM files
+// can be inspected (info, validate, stats) but not converted.
+
+export const EXIT_OK = 0
+export const EXIT_INVALID = 1
+export const EXIT_USAGE = 2
+
+const USAGE = `Usage: netpbm <command> [options] <file>...
+
+Commands:
+  info <file>                  Format, dimensions, max value, frames and comments (PFM: scale and
+                               byte order)
+  convert <input> <output>     Re-encode with --format P1–P7, or --ascii / --binary to keep the image
+                               type; --maxval N rescales the samples
+  validate <file>...           Report errors and warnings; --strict also fails on warnings
+  stats <file>                 Min, max, mean and standard deviation of the samples per channel
+
+Options:
+  --json                       Print JSON (info, validate and stats)
+  -h, --help                   Show this help
+
+Use - as a file name to read stdin or write stdout.
+Exit codes: 0 success, 1 invalid or unreadable input, 2 usage error.
+`
+
+const FORMATS = new Set(['P1', 'P2', 'P3', 'P4', 'P5', 'P6', 'P7'])
+const PLAIN_FORMATS = new Set(['P1', 'P2', 'P3'])
+const BINARY_EQUIVALENTS = { P1: 'P4', P2: 'P5', P3: 'P6' }
+
+class UsageError extends Error {}
+
+const parseArguments = (args) => {
+  const options = { json: false, strict: false, ascii: false, binary: false, format: null, maxVal: null, help: false }
+  const files = []
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i]
+    if (arg === '--json' || arg === '--strict' || arg === '--ascii' || arg === '--binary') {
+      options[arg.slice(2)] = true
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true
+    } else if (arg === '--format' || arg === '--maxval') {
+      const value = args[i + 1]
+      if (value === undefined) throw new UsageError(`${arg} needs a value`)
+      i += 1
+      if (arg === '--format') {
+        options.format = value.toUpperCase()
+        if (!FORMATS.has(options.format)) throw new UsageError(`Unknown format ${value}; use P1 to P7`)
+      } else {
+        options.maxVal = Number(value)
+        if (!Number.isInteger(options.maxVal) || options.maxVal < 1 || options.maxVal > 65535) {
+          throw new UsageError('--maxval must be an integer between 1 and 65535')
+        }
+      }
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`Unknown option ${arg}`)
+    } else {
+      files.push(arg)
+    }
+  }
+  return { options, files }
+}
+
+const readInput = async (file, stdin) => {
+  if (file !== '-') return readFile(file)
+  const chunks = []
+  for await (const chunk of stdin) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+const formatLocation = (file, { line, column, offset }) => {
+  if (line != null) return `${file}:${line}:${column}`
+  return offset != null ? `${file}: byte ${offset}` : file
+}
+
+const formatIssue = (file, kind, issue) =>
+  `${formatLocation(file, issue)}: ${kind}: ${issue.message}${issue.token != null ? ` (found "${issue.token}")` : ''}`
+
+const decodeFile = async (file, stdin) => {
+  const bytes = await readInput(file, stdin)
+  let image
+  try {
+    image = parseNetpbm(bytes)
+  } catch (parseError) {
+    if (!(parseError instanceof NetpbmParseError)) throw parseError
+    throw new Error(formatIssue(file, 'error', { ...parseError, message: parseError.reason }))
+  }
+  if (!image) throw new Error(`${file}: error: Not a Netpbm file, missing a P1–P7, PF or Pf magic number`)
+  return image
+}
+
+const describeImage = ({ format, tupleType, width, height, depth, sourceMaxVal, scale, littleEndian }) => {
+  const size = `${width} × ${height}${depth > 1 ? ` × ${depth}` : ''}`
+  if (scale != null) return `${format}, ${size}, 32-bit float, scale ${scale}, ${littleEndian ? 'little' : 'big'}-endian`
+  return `${describeFormat({ format, tupleType })}, ${size}, max value ${sourceMaxVal}`
+}
+
+const runInfo = async ([file], options, io) => {
+  const image = await decodeFile(file, io.stdin)
+  const { format, tupleType, width, height, depth, sourceMaxVal, frames, comments, warnings } = image
+  if (options.json) {
+    const info = { file, format, tupleType, width, height, depth, maxVal: sourceMaxVal, frames: frames.length }
+    const float = image.isFloat ? { scale: image.scale, littleEndian: image.littleEndian } : {}
+    io.stdout.write(`${JSON.stringify({ ...info, ...float, comments, warnings }, null, 2)}\n`)
+    return EXIT_OK
+  }
+  const lines = [
+    `${file}: ${describeImage(image)}`,
+    `  Channels:  ${CHANNEL_NAMES[depth].join(', ')}`,
+    `  Frames:    ${frames.length}`,
+    ...comments.map((comment) => `  Comment:   ${comment}`),
+    ...warnings.map((warning) => formatIssue(file, 'warning', warning)),
+  ]
+  io.stdout.write(`${lines.join('\n')}\n`)
+  return EXIT_OK
+}
+
+const getTargetFormat = (image, options) => {
+  if (options.format) return options.format
+  const plain = getEditableFormat(image)
+  if (options.ascii) return plain
+  if (options.binary) return BINARY_EQUIVALENTS[plain]
+  throw new UsageError('convert needs --format, --ascii or --binary')
+}
+
+// Binary formats can hold several images back to back, so every frame is converted; plain
+// formats hold one image only.
+const runConvert = async ([input, output], options, io) => {
+  if (!output) throw new UsageError('convert needs an input and an output file')
+  const image = await decodeFile(input, io.stdin)
+  if (image.isFloat) throw new Error(`${input}: error: PFM images hold float samples and cannot be converted`)
+  const format = getTargetFormat(image, options)
+  if (image.frames.length > 1 && PLAIN_FORMATS.has(format)) {
+    throw new UsageError(`${format} holds a single image, but ${input} has ${image.frames.length} frames`)
+  }
+  image.warnings.forEach((warning) => io.stderr.write(`${formatIssue(input, 'warning', warning)}\n`))
+  const bytes = Buffer.concat(
+    image.frames.map((frame) => encodeNetpbm(frame, { format, maxVal: options.maxVal ?? frame.sourceMaxVal })),
+  )
+  if (output === '-') {
+    io.stdout.write(bytes)
+  } else {
+    await writeFile(output, bytes)
+  }
+  return EXIT_OK
+}
+
+const runValidate = async (files, options, io) => {
+  const results = []
+  for (const file of files) {
+    try {
+      results.push({ file, ...validateNetpbm(await readInput(file, io.stdin)) })
+    } catch (readError) {
+      results.push({ file, valid: false, errors: [{ message: readError.message }], warnings: [] })
+    }
+  }
+  const passed = (result) => result.valid && !(options.strict && result.warnings.length)
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(results, null, 2)}\n`)
+  } else {
+    results.forEach((result) => {
+      const { file, valid, errors, warnings } = result
+      const lines = [
+        ...errors.map((issue) => formatIssue(file, 'error', issue)),
+        ...warnings.map((issue) => formatIssue(file, 'warning', issue)),
+      ]
+      if (valid) {
+        const summary = describeImage({ ...result, sourceMaxVal: result.maxVal })
+        lines.unshift(`${file}: ${passed(result) ? 'valid' : 'has warnings'}, ${summary}`)
+      }
+      io.stdout.write(`${lines.join('\n')}\n`)
+    })
+  }
+  return results.every(passed) ? EXIT_OK : EXIT_INVALID
+}
+
+// Statistics of the original samples of the first image (not the 8-bit display values the viewer's
+// panel uses). Unique colors count distinct pixels over all channels. Pixels are packed into one
+// number while that stays exact (below 2^53); float pixels and wider ones, such as 16-bit RGBA, are
+// keyed by their values as text instead.
+export const computeSampleStats = ({ width, height, depth, samples, sourceMaxVal }) => {
+  const pixelCount = width * height
+  const channels = CHANNEL_NAMES[depth].map((name, channel) => {
+    let min = Infinity
+    let max = -Infinity
+    let sum = 0
+    let sumOfSquares = 0
+    for (let i = channel; i < samples.length; i += depth) {
+      const value = samples[i]
+      if (value < min) min = value
+      if (value > max) max = value
+      sum += value
+      sumOfSquares += value * value
+    }
+    const mean = sum / pixelCount
+    return { name, min, max, mean, std: Math.sqrt(Math.max(0, sumOfSquares / pixelCount - mean * mean)) }
+  })
+  const colors = new Set()
+  const packable = sourceMaxVal != null && (sourceMaxVal + 1) ** depth <= 2 ** 53
+  for (let pixel = 0; pixel < pixelCount; pixel += 1) {
+    if (!packable) {
+      colors.add(samples.subarray(pixel * depth, pixel * depth + depth).join())
+      continue
+    }
+    let key = 0
+    for (let channel = 0; channel < depth; channel += 1) {
+      key = key * (sourceMaxVal + 1) + samples[pixel * depth + channel]
+    }
+    colors.add(key)
+  }
+  return { pixelCount, uniqueColors: colors.size, channels }
+}
+
+const runStats = async ([file], options, io) => {
+  const image = await decodeFile(file, io.stdin)
+  const stats = computeSampleStats(image)
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify({ file, maxVal: image.sourceMaxVal, ...stats }, null, 2)}\n`)
+    return EXIT_OK
+  }
+  const formatValue = image.isFloat ? (value) => String(Number(value.toPrecision(6))) : String
+  const formatRow = (name, min, max, mean, std) =>
+    `${name.padEnd(8)} ${min.padStart(7)} ${max.padStart(7)} ${mean.padStart(10)} ${std.padStart(10)}`
+  const lines = [
+    `${file}: ${describeImage(image)}`,
+    formatRow('Channel', 'Min', 'Max', 'Mean', 'Std'),
+    ...stats.channels.map(({ name, min, max, mean, std }) =>
+      formatRow(name, formatValue(min), formatValue(max), mean.toFixed(2), std.toFixed(2)),
+    ),
+    `Pixels: ${stats.pixelCount}, unique colors: ${stats.uniqueColors}`,
+  ]
+  io.stdout.write(`${lines.join('\n')}\n`)
+  return EXIT_OK
+}
+
+const COMMANDS = {
+  info: { run: runInfo, files: 1 },
+  convert: { run: runConvert, files: 2 },
+  validate: { run: runValidate, files: Infinity },
+  stats: { run: runStats, files: 1 },
+}
+
+// Runs one command and resolves to its exit code. Parse errors and unreadable files are reported
+// on stderr rather than thrown.
+export const run = async (argv, io) => {
+  const [commandName, ...rest] = argv
+  try {
+    const { options, files } = parseArguments(rest)
+    if (!commandName) {
+      io.stderr.write(USAGE)
+      return EXIT_USAGE
+    }
+    if (commandName === '-h' || commandName === '--help' || options.help) {
+      io.stdout.write(USAGE)
+      return EXIT_OK
+    }
+    const command = COMMANDS[commandName]
+    if (!command) throw new UsageError(`Unknown command ${commandName}`)
+    if (!files.length || files.length > command.files) {
+      const expected = command.files === Infinity ? 'one or more files' : `${command.files} file(s)`
+      throw new UsageError(`${commandName} takes ${expected}`)
+    }
+    return await command.run(files, options, io)
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.stderr.write(`netpbm: ${error.message}\n\n${USAGE}`)
+      return EXIT_USAGE
+    }
+    io.stderr.write(`netpbm: ${error.message}\n`)
+    return EXIT_INVALID
+  }
+}
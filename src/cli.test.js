@@ -0,0 +1,142 @@
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { computeSampleStats, EXIT_INVALID, EXIT_OK, EXIT_USAGE, run } from './cli.js'
+import { parseNetpbm, parseNetpbmText } from './netpbm.js'
+
+let directory
+
+const createIo = () => {
+  const output = { stdout: '', stderr: '' }
+  const stream = (key) => ({ write: (chunk) => (output[key] += chunk.toString()) })
+  return { io: { stdin: [], stdout: stream('stdout'), stderr: stream('stderr') }, output }
+}
+
+const runCli = async (...args) => {
+  const { io, output } = createIo()
+  const code = await run(args, io)
+  return { code, ...output }
+}
+
+beforeAll(async () => {
+  directory = await mkdtemp(join(tmpdir(), 'netpbm-cli-'))
+  await writeFile(join(directory, 'gray.pgm'), 'P2\n# hand made\n3 1\n9\n0 4 9\n')
+  await writeFile(join(directory, 'clamped.pgm'), 'P2\n1 1\n9\n12\n')
+  await writeFile(join(directory, 'broken.pgm'), 'P2\n3 x\n9\n')
+  const raster = new DataView(new ArrayBuffer(8))
+  raster.setFloat32(0, 0.5, true)
+  raster.setFloat32(4, 4, true)
+  await writeFile(join(directory, 'hdr.pfm'), Buffer.concat([Buffer.from('Pf\n2 1\n-1\n'), Buffer.from(raster.buffer)]))
+})
+
+afterAll(async () => {
+  await rm(directory, { recursive: true, force: true })
+})
+
+describe('info', () => {
+  it('prints the header and comments', async () => {
+    const { code, stdout } = await runCli('info', join(directory, 'gray.pgm'))
+    expect(code).toBe(EXIT_OK)
+    expect(stdout).toContain('P2, 3 × 1, max value 9')
+    expect(stdout).toContain('Comment:   hand made')
+  })
+
+  it('prints JSON', async () => {
+    const { stdout } = await runCli('info', '--json', join(directory, 'gray.pgm'))
+    expect(JSON.parse(stdout)).toMatchObject({ format: 'P2', width: 3, height: 1, maxVal: 9, comments: ['hand made'] })
+  })
+
+  it('fails with the parse error location', async () => {
+    const { code, stderr } = await runCli('info', join(directory, 'broken.pgm'))
+    expect(code).toBe(EXIT_INVALID)
+    expect(stderr).toContain('broken.pgm:2:3: error: Height is not a valid number (found "x")')
+  })
+})
+
+describe('PFM', () => {
+  it('reports the scale and byte order and float statistics', async () => {
+    expect((await runCli('info', join(directory, 'hdr.pfm'))).stdout).toContain(
+      'Pf, 2 × 1, 32-bit float, scale 1, little-endian',
+    )
+    expect(JSON.parse((await runCli('stats', '--json', join(directory, 'hdr.pfm'))).stdout)).toMatchObject({
+      maxVal: null,
+      uniqueColors: 2,
+      channels: [{ name: 'Gray', min: 0.5, max: 4, mean: 2.25 }],
+    })
+  })
+
+  it('cannot be converted', async () => {
+    const { code, stderr } = await runCli('convert', join(directory, 'hdr.pfm'), '-', '--format', 'P5')
+    expect(code).toBe(EXIT_INVALID)
+    expect(stderr).toContain('cannot be converted')
+  })
+})
+
+describe('validate', () => {
+  it('passes valid files and fails on errors or missing files', async () => {
+    expect((await runCli('validate', join(directory, 'gray.pgm'))).code).toBe(EXIT_OK)
+    expect((await runCli('validate', join(directory, 'gray.pgm'), join(directory, 'broken.pgm'))).code).toBe(
+      EXIT_INVALID,
+    )
+    expect((await runCli('validate', join(directory, 'missing.pgm'))).code).toBe(EXIT_INVALID)
+  })
+
+  it('fails on warnings only with --strict', async () => {
+    expect((await runCli('validate', join(directory, 'clamped.pgm'))).code).toBe(EXIT_OK)
+    expect((await runCli('validate', '--strict', join(directory, 'clamped.pgm'))).code).toBe(EXIT_INVALID)
+  })
+})
+
+describe('convert', () => {
+  it('switches between ASCII and binary', async () => {
+    const binary = join(directory, 'gray-raw.pgm')
+    expect((await runCli('convert', join(directory, 'gray.pgm'), binary, '--binary')).code).toBe(EXIT_OK)
+    const image = parseNetpbm(await readFile(binary))
+    expect(image.format).toBe('P5')
+    expect(image.samples).toEqual(Uint16Array.of(0, 4, 9))
+  })
+
+  it('writes another format and max value to stdout', async () => {
+    const { stdout } = await runCli('convert', join(directory, 'gray.pgm'), '-', '--format', 'P3', '--maxval', '255')
+    expect(parseNetpbmText(stdout).samples).toEqual(Uint16Array.of(0, 0, 0, 113, 113, 113, 255, 255, 255))
+  })
+
+  it('needs a target format', async () => {
+    expect((await runCli('convert', join(directory, 'gray.pgm'), join(directory, 'out.pgm'))).code).toBe(EXIT_USAGE)
+  })
+})
+
+describe('usage errors', () => {
+  it('exit with code 2', async () => {
+    expect((await runCli()).code).toBe(EXIT_USAGE)
+    expect((await runCli('resize', 'a.pgm')).code).toBe(EXIT_USAGE)
+    expect((await runCli('info', '--maxval', '0', 'a.pgm')).code).toBe(EXIT_USAGE)
+    expect((await runCli('info', 'a.pgm', 'b.pgm')).code).toBe(EXIT_USAGE)
+  })
+})
+
+describe('computeSampleStats', () => {
+  it('describes the original samples of every channel', () => {
+    const stats = computeSampleStats(parseNetpbmText('P3\n2 1\n1000\n0 500 1000 1000 500 0\n'))
+    expect(stats.uniqueColors).toBe(2)
+    expect(stats.channels.map(({ name, min, max, mean }) => [name, min, max, mean])).toEqual([
+      ['Red', 0, 1000, 500],
+      ['Green', 500, 500, 500],
+      ['Blue', 0, 1000, 500],
+    ])
+    expect(stats.channels[0].std).toBe(500)
+  })
+
+  it('counts 16-bit RGBA colors without packing collisions', () => {
+    // Packed into one number in base 65536, these two pixels round to the same double.
+    const image = {
+      width: 2,
+      height: 1,
+      depth: 4,
+      sourceMaxVal: 65535,
+      samples: Uint16Array.of(65535, 65535, 65535, 0, 65535, 65535, 65535, 1),
+    }
+    expect(computeSampleStats(image).uniqueColors).toBe(2)
+  })
+})
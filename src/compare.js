@@ -0,0 +1,53 @@
+import { writeHeatmapColor } from './viewModes'
+
+// Pixel comparison of two RGBA images ({ data, width, height }) on their 8-bit display values.
+// Images of different sizes are compared over the overlapping top-left area.
+
+export const DIFF_AMPLIFICATIONS = [1, 4, 16, 64]
+
+export const compareImages = (primary, secondary) => {
+  const width = Math.min(primary.width, secondary.width)
+  const height = Math.min(primary.height, secondary.height)
+  const diff = new Uint8Array(width * height)
+  let maxAbsError = 0
+  let squaredError = 0
+  let differingPixels = 0
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const primaryBase = (y * primary.width + x) * 4
+      const secondaryBase = (y * secondary.width + x) * 4
+      let pixelError = 0
+      for (let channel = 0; channel < 4; channel += 1) {
+        const delta = Math.abs(primary.data[primaryBase + channel] - secondary.data[secondaryBase + channel])
+        if (delta > pixelError) pixelError = delta
+        if (channel < 3) squaredError += delta * delta
+      }
+      diff[y * width + x] = pixelError
+      if (pixelError > 0) differingPixels += 1
+      if (pixelError > maxAbsError) maxAbsError = pixelError
+    }
+  }
+  const sampleCount = width * height * 3
+  const mse = sampleCount ? squaredError / sampleCount : 0
+  return {
+    width,
+    height,
+    sizeMatches: primary.width === secondary.width && primary.height === secondary.height,
+    diff,
+    maxAbsError,
+    mse,
+    psnr: mse > 0 ? 10 * Math.log10((255 * 255) / mse) : Infinity,
+    differingPixels,
+  }
+}
+
+// Renders the per-pixel error as a heatmap; amplification makes small differences visible.
+export const buildDifferenceData = ({ diff, width, height }, amplification = 1) => {
+  const rgba = new Uint8ClampedArray(width * height * 4)
+  for (let pixel = 0; pixel < diff.length; pixel += 1) {
+    const base = pixel * 4
+    writeHeatmapColor(rgba, base, Math.min(255, diff[pixel] * amplification))
+    rgba[base + 3] = 255
+  }
+  return rgba
+}
@@ -0,0 +1,314 @@
+import { buildDisplayData, convertSamples, hasAlphaDepth, isBitmapFormat, isColorDepth } from './netpbm'
+
+// Point and neighbourhood filters for decoded Netpbm images. Filters work on intensities in [0, 1]
+// (for bitmaps 1 means white, not black) and write samples back at the image's own max value.
+// Alpha is carried over unchanged.
+
+export const FILTERS = [
+  {
+    type: 'brightness-contrast',
+    label: 'Brightness / contrast',
+    params: [
+      { key: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1, value: 0 },
+      { key: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1, value: 0 },
+    ],
+  },
+  { type: 'gamma', label: 'Gamma', params: [{ key: 'gamma', label: 'Gamma', min: 0.1, max: 5, step: 0.1, value: 1 }] },
+  {
+    type: 'threshold',
+    label: 'Threshold',
+    params: [{ key: 'level', label: 'Level', min: 0, max: 100, step: 1, value: 50 }],
+  },
+  { type: 'posterize', label: 'Posterize', params: [{ key: 'levels', label: 'Levels', min: 2, max: 32, step: 1, value: 4 }] },
+  { type: 'grayscale', label: 'Grayscale (P3 → P2)', colorOnly: true, params: [] },
+  { type: 'equalize', label: 'Histogram equalization', params: [] },
+  {
+    type: 'box-blur',
+    label: 'Box blur',
+    neighbourhood: true,
+    params: [{ key: 'radius', label: 'Radius', min: 1, max: 5, step: 1, value: 1 }],
+  },
+  {
+    type: 'gaussian-blur',
+    label: 'Gaussian blur',
+    neighbourhood: true,
+    params: [{ key: 'sigma', label: 'Sigma', min: 0.5, max: 5, step: 0.1, value: 1 }],
+  },
+  {
+    type: 'sharpen',
+    label: 'Sharpen',
+    neighbourhood: true,
+    params: [{ key: 'amount', label: 'Amount', min: 0.1, max: 3, step: 0.1, value: 1 }],
+  },
+  { type: 'sobel', label: 'Sobel edges', neighbourhood: true, params: [] },
+  {
+    type: 'median',
+    label: 'Median',
+    neighbourhood: true,
+    params: [{ key: 'radius', label: 'Radius', min: 1, max: 3, step: 1, value: 1 }],
+  },
+  { type: 'kernel', label: 'Custom kernel', neighbourhood: true, params: [] },
+]
+
+export const DEFAULT_KERNEL = '0 -1 0\n-1 5 -1\n0 -1 0'
+
+export const getFilter = (type) => FILTERS.find((filter) => filter.type === type)
+
+export const createFilterStep = (type) => {
+  const filter = getFilter(type)
+  const params = Object.fromEntries(filter.params.map(({ key, value }) => [key, value]))
+  return type === 'kernel' ? { type, params: { ...params, kernel: DEFAULT_KERNEL, normalize: true } } : { type, params }
+}
+
+// Reads a whitespace or comma separated 3×3 or 5×5 kernel.
+export const parseKernel = (text) => {
+  const values = text
+    .trim()
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number)
+  if (values.some((value) => !Number.isFinite(value))) {
+    throw new Error('Kernel values must be numbers')
+  }
+  const size = Math.sqrt(values.length)
+  if (size !== 3 && size !== 5) {
+    throw new Error(`A kernel needs 9 (3×3) or 25 (5×5) values, found ${values.length}`)
+  }
+  return { size, weights: values }
+}
+
+const getColorChannels = (depth) => (hasAlphaDepth(depth) ? depth - 1 : depth)
+
+const readIntensities = ({ format, width, height, depth, samples, sourceMaxVal }) => {
+  const channels = getColorChannels(depth)
+  const isBitmap = isBitmapFormat(format)
+  const values = new Float32Array(width * height * channels)
+  for (let pixel = 0; pixel < width * height; pixel += 1) {
+    for (let channel = 0; channel < channels; channel += 1) {
+      const sample = samples[pixel * depth + channel]
+      values[pixel * channels + channel] = isBitmap ? 1 - sample : sample / sourceMaxVal
+    }
+  }
+  return values
+}
+
+const writeIntensities = (image, values) => {
+  const { format, width, height, depth, sourceMaxVal } = image
+  const channels = getColorChannels(depth)
+  const isBitmap = isBitmapFormat(format)
+  const samples = image.samples.slice()
+  for (let pixel = 0; pixel < width * height; pixel += 1) {
+    for (let channel = 0; channel < channels; channel += 1) {
+      const value = Math.min(1, Math.max(0, values[pixel * channels + channel]))
+      samples[pixel * depth + channel] = isBitmap ? 1 - Math.round(value) : Math.round(value * sourceMaxVal)
+    }
+  }
+  return { ...image, samples, data: buildDisplayData({ ...image, samples }) }
+}
+
+const mapIntensities = (image, transform) => {
+  const values = readIntensities(image)
+  for (let i = 0; i < values.length; i += 1) {
+    values[i] = transform(values[i])
+  }
+  return writeIntensities(image, values)
+}
+
+// Thresholds color images on luma so the result is black and white rather than eight colors.
+const threshold = (image, level) => {
+  const channels = getColorChannels(image.depth)
+  const values = readIntensities(image)
+  for (let pixel = 0; pixel < values.length; pixel += channels) {
+    const luma =
+      channels >= 3 ? 0.299 * values[pixel] + 0.587 * values[pixel + 1] + 0.114 * values[pixel + 2] : values[pixel]
+    values.fill(luma >= level ? 1 : 0, pixel, pixel + channels)
+  }
+  return writeIntensities(image, values)
+}
+
+const toGrayscale = (image) => {
+  if (!isColorDepth(image.depth)) return image
+  const depth = hasAlphaDepth(image.depth) ? 2 : 1
+  const samples = convertSamples(image, depth, image.sourceMaxVal)
+  const format = { P3: 'P2', P6: 'P5' }[image.format] ?? image.format
+  const tupleType = depth === 2 ? 'GRAYSCALE_ALPHA' : 'GRAYSCALE'
+  const gray = { ...image, format, depth, tupleType, samples }
+  return { ...gray, data: buildDisplayData(gray) }
+}
+
+// Equalizes each channel over the image's own sample range.
+const equalize = (image) => {
+  const { width, height, depth, samples, sourceMaxVal } = image
+  const channels = getColorChannels(depth)
+  const pixelCount = width * height
+  const output = samples.slice()
+  for (let channel = 0; channel < channels; channel += 1) {
+    const histogram = new Uint32Array(sourceMaxVal + 1)
+    for (let pixel = 0; pixel < pixelCount; pixel += 1) {
+      histogram[samples[pixel * depth + channel]] += 1
+    }
+    const cdf = new Uint32Array(sourceMaxVal + 1)
+    let total = 0
+    for (let value = 0; value <= sourceMaxVal; value += 1) {
+      total += histogram[value]
+      cdf[value] = total
+    }
+    const cdfMin = cdf.find((count) => count > 0)
+    const range = pixelCount - cdfMin
+    for (let pixel = 0; pixel < pixelCount; pixel += 1) {
+      const index = pixel * depth + channel
+      output[index] = range > 0 ? Math.round(((cdf[samples[index]] - cdfMin) / range) * sourceMaxVal) : samples[index]
+    }
+  }
+  return { ...image, samples: output, data: buildDisplayData({ ...image, samples: output }) }
+}
+
+// Convolves every color channel with a square kernel, repeating edge pixels beyond the border.
+const convolve = (image, size, weights) => {
+  const { width, height } = image
+  const channels = getColorChannels(image.depth)
+  const values = readIntensities(image)
+  const output = new Float32Array(values.length)
+  const radius = (size - 1) / 2
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      for (let channel = 0; channel < channels; channel += 1) {
+        let sum = 0
+        for (let ky = 0; ky < size; ky += 1) {
+          const sourceY = Math.min(height - 1, Math.max(0, y + ky - radius))
+          for (let kx = 0; kx < size; kx += 1) {
+            const sourceX = Math.min(width - 1, Math.max(0, x + kx - radius))
+            sum += values[(sourceY * width + sourceX) * channels + channel] * weights[ky * size + kx]
+          }
+        }
+        output[(y * width + x) * channels + channel] = sum
+      }
+    }
+  }
+  return output
+}
+
+// Convolves every color channel with a separable kernel: `weights` along each row, then along each
+// column. Same result as the square kernel of their outer product, with 2 × size reads per sample
+// instead of size².
+const convolveSeparable = (image, weights) => {
+  const { width, height } = image
+  const channels = getColorChannels(image.depth)
+  const values = readIntensities(image)
+  const rows = new Float32Array(values.length)
+  const output = new Float32Array(values.length)
+  const radius = (weights.length - 1) / 2
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      for (let channel = 0; channel < channels; channel += 1) {
+        let sum = 0
+        for (let k = 0; k < weights.length; k += 1) {
+          const sourceX = Math.min(width - 1, Math.max(0, x + k - radius))
+          sum += values[(y * width + sourceX) * channels + channel] * weights[k]
+        }
+        rows[(y * width + x) * channels + channel] = sum
+      }
+    }
+  }
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      for (let channel = 0; channel < channels; channel += 1) {
+        let sum = 0
+        for (let k = 0; k < weights.length; k += 1) {
+          const sourceY = Math.min(height - 1, Math.max(0, y + k - radius))
+          sum += rows[(sourceY * width + x) * channels + channel] * weights[k]
+        }
+        output[(y * width + x) * channels + channel] = sum
+      }
+    }
+  }
+  return output
+}
+
+// One dimension of a normalized Gaussian kernel reaching three sigmas.
+const gaussianWeights = (sigma) => {
+  const radius = Math.max(1, Math.ceil(sigma * 3))
+  const weights = []
+  for (let x = -radius; x <= radius; x += 1) {
+    weights.push(Math.exp(-(x * x) / (2 * sigma * sigma)))
+  }
+  const sum = weights.reduce((total, weight) => total + weight, 0)
+  return weights.map((weight) => weight / sum)
+}
+
+const sobel = (image) => {
+  const horizontal = convolve(image, 3, [-1, 0, 1, -2, 0, 2, -1, 0, 1])
+  const vertical = convolve(image, 3, [-1, -2, -1, 0, 0, 0, 1, 2, 1])
+  const magnitude = horizontal.map((gx, i) => Math.hypot(gx, vertical[i]))
+  return writeIntensities(image, magnitude)
+}
+
+const median = (image, radius) => {
+  const { width, height } = image
+  const channels = getColorChannels(image.depth)
+  const values = readIntensities(image)
+  const output = new Float32Array(values.length)
+  // A typed window sorts numerically without a comparator callback per comparison.
+  const window = new Float32Array((radius * 2 + 1) ** 2)
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      for (let channel = 0; channel < channels; channel += 1) {
+        let count = 0
+        for (let dy = -radius; dy <= radius; dy += 1) {
+          const sourceY = Math.min(height - 1, Math.max(0, y + dy))
+          for (let dx = -radius; dx <= radius; dx += 1) {
+            const sourceX = Math.min(width - 1, Math.max(0, x + dx))
+            window[count] = values[(sourceY * width + sourceX) * channels + channel]
+            count += 1
+          }
+        }
+        window.sort()
+        output[(y * width + x) * channels + channel] = window[window.length >> 1]
+      }
+    }
+  }
+  return writeIntensities(image, output)
+}
+
+export const applyFilter = (image, { type, params }) => {
+  switch (type) {
+    case 'brightness-contrast': {
+      const factor = (100 + params.contrast) / 100
+      return mapIntensities(image, (value) => (value - 0.5) * factor + 0.5 + params.brightness / 100)
+    }
+    case 'gamma':
+      return mapIntensities(image, (value) => value ** (1 / params.gamma))
+    case 'threshold':
+      return threshold(image, params.level / 100)
+    case 'posterize':
+      return mapIntensities(image, (value) => Math.round(value * (params.levels - 1)) / (params.levels - 1))
+    case 'grayscale':
+      return toGrayscale(image)
+    case 'equalize':
+      return equalize(image)
+    case 'box-blur': {
+      const size = params.radius * 2 + 1
+      return writeIntensities(image, convolveSeparable(image, new Array(size).fill(1 / size)))
+    }
+    case 'gaussian-blur':
+      return writeIntensities(image, convolveSeparable(image, gaussianWeights(params.sigma)))
+    case 'sharpen': {
+      const a = params.amount
+      return writeIntensities(image, convolve(image, 3, [0, -a, 0, -a, 1 + 4 * a, -a, 0, -a, 0]))
+    }
+    case 'sobel':
+      return sobel(image)
+    case 'median':
+      return median(image, params.radius)
+    case 'kernel': {
+      const { size, weights } = parseKernel(params.kernel)
+      const sum = weights.reduce((total, weight) => total + weight, 0)
+      const scaled = params.normalize && sum !== 0 ? weights.map((weight) => weight / sum) : weights
+      return writeIntensities(image, convolve(image, size, scaled))
+    }
+    default:
+      throw new Error(`Unknown filter: ${type}`)
+  }
+}
+
+export const applyFilterPipeline = (image, steps) => steps.reduce((result, step) => applyFilter(result, step), image)
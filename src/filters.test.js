@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest'
+import { applyFilter } from './filters'
+import { parseNetpbmText } from './netpbm'
+
+// A 5 × 5 graymap, black except for one white pixel in the middle.
+const impulse = parseNetpbmText(`P2\n5 5\n255\n${Array.from({ length: 25 }, (_, i) => (i === 12 ? 255 : 0)).join(' ')}`)
+
+const rowsOf = ({ width, samples }) =>
+  Array.from({ length: samples.length / width }, (_, y) => Array.from(samples.subarray(y * width, (y + 1) * width)))
+
+describe('blur filters', () => {
+  it('spreads a Gaussian blur evenly in both directions', () => {
+    const rows = rowsOf(applyFilter(impulse, { type: 'gaussian-blur', params: { sigma: 1 } }))
+    expect(rows[2][2]).toBe(41)
+    expect(rows.map((row) => [...row].reverse())).toEqual(rows)
+    expect(rows.map((_, y) => rows[y][2])).toEqual(rows[2])
+  })
+
+  it('averages the box around each pixel', () => {
+    const rows = rowsOf(applyFilter(impulse, { type: 'box-blur', params: { radius: 1 } }))
+    expect(rows[1]).toEqual([0, 28, 28, 28, 0])
+    expect(rows[0]).toEqual([0, 0, 0, 0, 0])
+  })
+})
+
+describe('median', () => {
+  it('removes isolated outliers', () => {
+    const result = applyFilter(impulse, { type: 'median', params: { radius: 1 } })
+    expect(Array.from(result.samples).every((sample) => sample === 0)).toBe(true)
+  })
+})
@@ -0,0 +1,102 @@
+import { buildDisplayData } from './netpbm'
+
+// Blank images and test patterns for the New image dialog. Patterns are built as samples at the
+// chosen max value; App turns them into text with generateNetpbmText.
+
+export const PATTERNS = [
+  { value: 'blank', label: 'Blank' },
+  { value: 'horizontal-gradient', label: 'Horizontal gradient', twoColors: true },
+  { value: 'vertical-gradient', label: 'Vertical gradient', twoColors: true },
+  { value: 'radial-gradient', label: 'Radial gradient', twoColors: true },
+  { value: 'checkerboard', label: 'Checkerboard', twoColors: true, cells: true },
+  { value: 'color-bars', label: 'Color bars' },
+  { value: 'noise', label: 'Noise' },
+  { value: 'zone-plate', label: 'Zone plate' },
+]
+
+export const getPattern = (value) => PATTERNS.find((pattern) => pattern.value === value)
+
+// 75% bars in the usual order: white, yellow, cyan, green, magenta, red, blue.
+const COLOR_BARS = [
+  [0.75, 0.75, 0.75],
+  [0.75, 0.75, 0],
+  [0, 0.75, 0.75],
+  [0, 0.75, 0],
+  [0.75, 0, 0.75],
+  [0.75, 0, 0],
+  [0, 0, 0.75],
+]
+
+const hexToIntensities = (color) => {
+  const hex = color.replace('#', '')
+  return [0, 2, 4].map((offset) => Number.parseInt(hex.slice(offset, offset + 2), 16) / 255)
+}
+
+const toLuma = ([red, green, blue]) => 0.299 * red + 0.587 * green + 0.114 * blue
+
+const mix = (from, to, amount) => from.map((value, channel) => value + (to[channel] - value) * amount)
+
+// Returns a function giving the RGB intensities in [0, 1] of the pixel at (x, y).
+const getPatternColor = ({ pattern, width, height, colors, cellSize }) => {
+  const [primary, secondary] = colors.map(hexToIntensities)
+  switch (pattern) {
+    case 'horizontal-gradient':
+      return (x) => mix(primary, secondary, width > 1 ? x / (width - 1) : 0)
+    case 'vertical-gradient':
+      return (x, y) => mix(primary, secondary, height > 1 ? y / (height - 1) : 0)
+    case 'radial-gradient': {
+      const centerX = (width - 1) / 2
+      const centerY = (height - 1) / 2
+      const radius = Math.hypot(centerX, centerY) || 1
+      return (x, y) => mix(primary, secondary, Math.hypot(x - centerX, y - centerY) / radius)
+    }
+    case 'checkerboard':
+      return (x, y) => ((Math.floor(x / cellSize) + Math.floor(y / cellSize)) % 2 === 0 ? primary : secondary)
+    case 'color-bars':
+      return (x) => COLOR_BARS[Math.min(COLOR_BARS.length - 1, Math.floor((x * COLOR_BARS.length) / width))]
+    case 'noise':
+      return () => [Math.random(), Math.random(), Math.random()]
+    case 'zone-plate': {
+      // cos(πr²/N) reaches the Nyquist frequency at the edge of the larger dimension.
+      const size = Math.max(width, height)
+      return (x, y) => {
+        const dx = x - width / 2
+        const dy = y - height / 2
+        const value = 0.5 + 0.5 * Math.cos((Math.PI * (dx * dx + dy * dy)) / size)
+        return [value, value, value]
+      }
+    }
+    default:
+      return () => primary
+  }
+}
+
+// Builds a P2 (grayscale) or P3 (color) image. Grayscale patterns use the luma of each color;
+// noise is drawn per sample so grayscale noise stays gray.
+export const createPatternImage = ({ format, width, height, maxVal, pattern, colors, cellSize = 8 }) => {
+  const depth = format === 'P3' ? 3 : 1
+  const colorAt = getPatternColor({ pattern, width, height, colors, cellSize })
+  const samples = new Uint16Array(width * height * depth)
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const color = colorAt(x, y)
+      const values = depth === 3 ? color : [pattern === 'noise' ? color[0] : toLuma(color)]
+      const base = (y * width + x) * depth
+      values.forEach((value, channel) => {
+        samples[base + channel] = Math.round(Math.min(1, Math.max(0, value)) * maxVal)
+      })
+    }
+  }
+  const image = {
+    format,
+    width,
+    height,
+    depth,
+    tupleType: depth === 3 ? 'RGB' : 'GRAYSCALE',
+    samples,
+    maxVal,
+    sourceMaxVal: maxVal,
+    warnings: [],
+  }
+  return { ...image, data: buildDisplayData(image) }
+}
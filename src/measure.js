@@ -0,0 +1,83 @@
+// Geometry behind pinned sample points, the Measure tool and the pixel cursor: pin labels, distances,
+// intensity profiles along a line of pixels and the values around a pixel.
+
+const PIN_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+
+// The 8-bit channels the statistics panel and line profiles chart, keyed like getLineProfile points.
+export const INTENSITY_CHANNELS = [
+  { key: 'r', label: 'Red', color: '#e5484d' },
+  { key: 'g', label: 'Green', color: '#30a46c' },
+  { key: 'b', label: 'Blue', color: '#3e63dd' },
+  { key: 'l', label: 'Luminance', color: '#5c6788' },
+]
+
+// Bresenham line so fast drags paint a connected stroke and profiles visit each pixel once.
+export const forEachLinePixel = (x0, y0, x1, y1, callback) => {
+  const dx = Math.abs(x1 - x0)
+  const dy = -Math.abs(y1 - y0)
+  const stepX = x0 < x1 ? 1 : -1
+  const stepY = y0 < y1 ? 1 : -1
+  let error = dx + dy
+  let x = x0
+  let y = y0
+  for (;;) {
+    callback(x, y)
+    if (x === x1 && y === y1) break
+    const doubled = 2 * error
+    if (doubled >= dy) {
+      error += dy
+      x += stepX
+    }
+    if (doubled <= dx) {
+      error += dx
+      y += stepY
+    }
+  }
+}
+
+// Euclidean distance between pixel centers, in pixels.
+export const getDistance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y)
+
+// The first letter no pin uses yet, then P27, P28… once the alphabet runs out.
+export const getNextPinLabel = (pins) => {
+  const used = new Set(pins.map((pin) => pin.label))
+  const letter = [...PIN_LETTERS].find((candidate) => !used.has(candidate))
+  if (letter) return letter
+  let number = PIN_LETTERS.length + 1
+  while (used.has(`P${number}`)) {
+    number += 1
+  }
+  return `P${number}`
+}
+
+export const isInsideImage = ({ width, height }, { x, y }) => x >= 0 && y >= 0 && x < width && y < height
+
+// 8-bit red, green, blue and luminance (Rec. 601, like the statistics panel) of every pixel on the
+// line from start to end, each with its distance from the start.
+export const getLineProfile = ({ data, width }, start, end) => {
+  const points = []
+  forEachLinePixel(start.x, start.y, end.x, end.y, (x, y) => {
+    const base = (y * width + x) * 4
+    const r = data[base]
+    const g = data[base + 1]
+    const b = data[base + 2]
+    points.push({ x, y, distance: getDistance(start, { x, y }), r, g, b, l: 0.299 * r + 0.587 * g + 0.114 * b })
+  })
+  return points
+}
+
+// One channel of the size × size block centered on a pixel, as rows of { x, y, value }. `values`
+// interleaves `channels` values per pixel; cells outside the image have a null value.
+export const getNeighborhood = ({ values, width, height, channels }, center, size, channel) => {
+  const radius = Math.floor(size / 2)
+  const rows = []
+  for (let y = center.y - radius; y <= center.y + radius; y += 1) {
+    const row = []
+    for (let x = center.x - radius; x <= center.x + radius; x += 1) {
+      const inside = isInsideImage({ width, height }, { x, y })
+      row.push({ x, y, value: inside ? values[(y * width + x) * channels + channel] : null })
+    }
+    rows.push(row)
+  }
+  return rows
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest'
+import { forEachLinePixel, getDistance, getLineProfile, getNeighborhood, getNextPinLabel } from './measure'
+
+describe('forEachLinePixel', () => {
+  it('visits every pixel of a line once, end points included', () => {
+    const pixels = []
+    forEachLinePixel(0, 0, 3, 1, (x, y) => pixels.push([x, y]))
+    expect(pixels).toEqual([
+      [0, 0],
+      [1, 0],
+      [2, 1],
+      [3, 1],
+    ])
+  })
+})
+
+describe('getNextPinLabel', () => {
+  it('reuses the first free letter and numbers pins after Z', () => {
+    expect(getNextPinLabel([])).toBe('A')
+    expect(getNextPinLabel([{ label: 'A' }, { label: 'C' }])).toBe('B')
+    const alphabet = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'].map((label) => ({ label }))
+    expect(getNextPinLabel(alphabet)).toBe('P27')
+    expect(getNextPinLabel([...alphabet, { label: 'P27' }])).toBe('P28')
+  })
+})
+
+describe('getLineProfile', () => {
+  // A 3 × 2 image: a red-to-white ramp on the first row, black on the second.
+  const pixels = {
+    width: 3,
+    height: 2,
+    data: Uint8ClampedArray.from([
+      255, 0, 0, 255, 255, 128, 128, 255, 255, 255, 255, 255, 0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255,
+    ]),
+  }
+
+  it('reads each channel and the luminance along the line', () => {
+    const profile = getLineProfile(pixels, { x: 0, y: 0 }, { x: 2, y: 0 })
+    expect(profile.map(({ distance, r, g, b }) => [distance, r, g, b])).toEqual([
+      [0, 255, 0, 0],
+      [1, 255, 128, 128],
+      [2, 255, 255, 255],
+    ])
+    expect(profile[0].l).toBeCloseTo(76.245)
+  })
+
+  it('measures diagonal distances between pixel centers', () => {
+    const profile = getLineProfile(pixels, { x: 0, y: 1 }, { x: 1, y: 0 })
+    expect(profile.map(({ x, y }) => [x, y])).toEqual([
+      [0, 1],
+      [1, 0],
+    ])
+    expect(getDistance({ x: 0, y: 1 }, { x: 1, y: 0 })).toBeCloseTo(Math.SQRT2)
+  })
+})
+
+describe('getNeighborhood', () => {
+  // A 3 × 2 gray-alpha image whose gray sample is 10 × x + y and whose alpha is 255.
+  const image = {
+    values: Uint16Array.from([0, 255, 10, 255, 20, 255, 1, 255, 11, 255, 21, 255]),
+    width: 3,
+    height: 2,
+    channels: 2,
+  }
+
+  it('reads one channel around the center, leaving cells outside the image empty', () => {
+    const rows = getNeighborhood(image, { x: 0, y: 1 }, 3, 0)
+    expect(rows.map((row) => row.map(({ value }) => value))).toEqual([
+      [null, 0, 10],
+      [null, 1, 11],
+      [null, null, null],
+    ])
+    expect(rows[0][0]).toEqual({ x: -1, y: 0, value: null })
+  })
+
+  it('picks the requested channel', () => {
+    expect(getNeighborhood(image, { x: 2, y: 0 }, 1, 1)).toEqual([[{ x: 2, y: 0, value: 255 }]])
+  })
+})
@@ -0,0 +1,1176 @@
+// Netpbm decoding, text generation and encoding. Kept free of DOM and React so it also runs
+// inside the decode worker and under Node.
+//
+// Public API, all taking bytes as a Uint8Array or ArrayBuffer (a Node Buffer works too):
+//   parseNetpbm(bytes, { onProgress })  decodes P1–P7 and PFM into samples; throws NetpbmParseError
+//   parseNetpbmText(text)               decodes P1/P2/P3 text, such as the editor's contents
+//   validateNetpbm(bytes)               reports errors and warnings instead of throwing
+//   encodeNetpbm(image, { format, maxVal })  writes any variant, ASCII or binary, at any max value
+//   generateNetpbmText(image)           builds the editable P1/P2/P3 text of an image
+// Decoded images hold `samples` (Uint16Array, `depth` per pixel, up to `sourceMaxVal`) and `data`
+// (8-bit RGBA for display), plus the text of every comment in `comments` except the `#:` notes that
+// generateNetpbmText writes. Binary images also carry
+// a `layout` of their header fields and raster in the file. PFM images are the exception: they are
+// marked `isFloat` and hold a Float32Array of samples without a max value (see parsePfm). The
+// remaining exports are helpers shared with the viewer.
+const NETPBM_MAGIC_SET = new Set(['P1', 'P2', 'P3', 'P4', 'P5', 'P6', 'P7'])
+const PFM_MAGIC_SET = new Set(['PF', 'Pf'])
+const WHITESPACE_CODES = new Set([9, 10, 13, 32])
+const ASCII_FORMATS = new Set(['P1', 'P2', 'P3'])
+const BINARY_FORMATS = new Set(['P4', 'P5', 'P6', 'P7'])
+const DECIMAL_PATTERN = /^\d+$/
+// Comment lines generateNetpbmText writes itself start with `#:`, so regenerated text can tell them
+// from the image's own comments whatever they say.
+const NOTE_MARKER = ':'
+const FLOAT_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/
+const ASCII_LINE_LIMIT = 70
+// Progress callbacks fire once per 65536 samples.
+const PROGRESS_INTERVAL_MASK = 0xffff
+const PAM_HEADER_FIELDS = new Set(['WIDTH', 'HEIGHT', 'DEPTH', 'MAXVAL'])
+const PAM_TUPLE_DEPTHS = {
+  BLACKANDWHITE: 1,
+  GRAYSCALE: 1,
+  RGB: 3,
+  BLACKANDWHITE_ALPHA: 2,
+  GRAYSCALE_ALPHA: 2,
+  RGB_ALPHA: 4,
+}
+
+export const normalizeSample = (value, maxVal) => {
+  if (maxVal <= 0) {
+    throw new Error('Max value must be greater than zero')
+  }
+  if (maxVal === 255) return value
+  return Math.round((value / maxVal) * 255)
+}
+
+export const isBitmapFormat = (format) => format === 'P1' || format === 'P4'
+
+export const clampSample = (value, maxVal) => Math.min(maxVal, Math.max(0, value))
+
+// Scales one original sample to the 0–255 display range. Bitmap bits are inverted since 1 is black.
+export const displaySample = (value, maxVal, format) => {
+  if (isBitmapFormat(format)) return value ? 0 : 255
+  return normalizeSample(value, maxVal)
+}
+
+// Depth 1/2 are gray (+ alpha), depth 3/4 are RGB (+ alpha), matching the PAM tuple types.
+export const isColorDepth = (depth) => depth >= 3
+export const hasAlphaDepth = (depth) => depth === 2 || depth === 4
+
+// Names of the interleaved samples of a pixel, by depth.
+export const CHANNEL_NAMES = {
+  1: ['Gray'],
+  2: ['Gray', 'Alpha'],
+  3: ['Red', 'Green', 'Blue'],
+  4: ['Red', 'Green', 'Blue', 'Alpha'],
+}
+
+export const getFormatDepth = (format) => (format === 'P3' || format === 'P6' ? 3 : 1)
+
+export const getEditableFormat = ({ format, depth }) => {
+  if (isBitmapFormat(format)) return 'P1'
+  return isColorDepth(depth ?? getFormatDepth(format)) ? 'P3' : 'P2'
+}
+
+export const describeFormat = ({ format, tupleType }) => (format === 'P7' && tupleType ? `${format} ${tupleType}` : format)
+
+// Expands original samples of any depth into the 8-bit RGBA buffer the canvas draws.
+export const buildDisplayData = ({ format, width, height, depth, samples, sourceMaxVal }) => {
+  const isColor = isColorDepth(depth)
+  const hasAlpha = hasAlphaDepth(depth)
+  const rgba = new Uint8ClampedArray(width * height * 4)
+  for (let i = 0, sampleIndex = 0; i < width * height; i += 1) {
+    const base = i * 4
+    if (isColor) {
+      rgba[base] = displaySample(samples[sampleIndex], sourceMaxVal, format)
+      rgba[base + 1] = displaySample(samples[sampleIndex + 1], sourceMaxVal, format)
+      rgba[base + 2] = displaySample(samples[sampleIndex + 2], sourceMaxVal, format)
+      sampleIndex += 3
+    } else {
+      const gray = displaySample(samples[sampleIndex], sourceMaxVal, format)
+      rgba[base] = gray
+      rgba[base + 1] = gray
+      rgba[base + 2] = gray
+      sampleIndex += 1
+    }
+    if (hasAlpha) {
+      rgba[base + 3] = normalizeSample(samples[sampleIndex], sourceMaxVal)
+      sampleIndex += 1
+    } else {
+      rgba[base + 3] = 255
+    }
+  }
+  return rgba
+}
+
+export const TONE_MAPPING_OPERATORS = [
+  { value: 'clamp', label: 'Clamp' },
+  { value: 'reinhard', label: 'Reinhard' },
+  { value: 'gamma', label: 'Gamma 2.2' },
+]
+
+// Each curve maps a non-negative linear value to the displayed intensity; results above 1 clip.
+const TONE_CURVES = {
+  clamp: (value) => value,
+  reinhard: (value) => value / (1 + value),
+  gamma: (value) => value ** (1 / 2.2),
+}
+
+// Builds the 8-bit RGBA buffer of a float image. Exposure is in stops, so +1 doubles every value
+// before the curve is applied.
+export const toneMapFloat = ({ width, height, depth, samples }, { exposure = 0, toneMapping = 'clamp' } = {}) => {
+  const curve = TONE_CURVES[toneMapping] ?? TONE_CURVES.clamp
+  const gain = 2 ** exposure
+  const toByte = (value) => Math.round(Math.min(1, curve(Math.max(0, value * gain))) * 255)
+  const rgba = new Uint8ClampedArray(width * height * 4)
+  for (let i = 0; i < width * height; i += 1) {
+    const base = i * 4
+    if (depth === 3) {
+      rgba[base] = toByte(samples[i * 3])
+      rgba[base + 1] = toByte(samples[i * 3 + 1])
+      rgba[base + 2] = toByte(samples[i * 3 + 2])
+    } else {
+      const gray = toByte(samples[i])
+      rgba[base] = gray
+      rgba[base + 1] = gray
+      rgba[base + 2] = gray
+    }
+    rgba[base + 3] = 255
+  }
+  return rgba
+}
+
+// Float samples as the viewer shows them: five significant digits without trailing zeros.
+export const formatFloatSample = (value) => String(Number(value.toPrecision(5)))
+
+// Parse errors carry where the problem is: the byte offset, and for text the 1-based line and
+// column (in characters) plus the offending token, so editors can point at it.
+export class NetpbmParseError extends Error {
+  constructor(message, { offset = null, line = null, column = null, token = null } = {}) {
+    const location = line != null ? ` (line ${line}, column ${column})` : offset != null ? ` (byte ${offset})` : ''
+    super(`${message}${location}`)
+    this.name = 'NetpbmParseError'
+    this.reason = message
+    this.offset = offset
+    this.line = line
+    this.column = column
+    this.token = token
+  }
+}
+
+export const createParseIssue = (message, { offset = null, line = null, column = null, token = null }) => ({
+  message,
+  offset,
+  line,
+  column,
+  token,
+})
+
+const locateOffset = (bytes, offset) => {
+  const prefix = new TextDecoder().decode(bytes.subarray(0, offset))
+  const lineStart = prefix.lastIndexOf('\n') + 1
+  return { offset, line: prefix.split('\n').length, column: prefix.length - lineStart + 1 }
+}
+
+const readMagic = (bytes) => (bytes.length >= 2 ? String.fromCharCode(bytes[0], bytes[1]) : '')
+
+export const isPfmMagic = (bytes) => PFM_MAGIC_SET.has(readMagic(bytes))
+
+// True for every magic number parseNetpbm decodes, PFM included.
+export const isNetpbmMagic = (bytes) => NETPBM_MAGIC_SET.has(readMagic(bytes)) || isPfmMagic(bytes)
+
+// Parses the single image whose magic number starts at byte `start` and returns it with the offset
+// just past its raster. Progress is reported as a fraction of the whole buffer.
+const parseImageAt = (bytes, start, onProgress) => {
+  const magic = String.fromCharCode(bytes[start], bytes[start + 1])
+
+  let index = start + 2
+  let tokenStart = null
+  const decoder = new TextDecoder('ascii')
+  const comments = []
+  // Byte ranges of the header fields. Binary images keep them (see `layout` below) for the byte
+  // inspector.
+  const segments = [{ kind: 'magic', start, end: start + 2 }]
+
+  const addSegment = (kind, from, to) => {
+    segments.push({ kind, start: from, end: to })
+  }
+
+  const addComment = (from, to) => {
+    const comment = decoder.decode(bytes.subarray(from, to))
+    if (!comment.startsWith(NOTE_MARKER)) comments.push(comment.trim())
+    addSegment('comment', from - 1, to)
+  }
+
+  const fail = (message, offset, token = null) => {
+    throw new NetpbmParseError(message, { ...locateOffset(bytes, offset ?? index), token })
+  }
+
+  // Line and column are meaningless inside a binary raster, so only the byte offset is reported.
+  const failBinary = (message, offset) => {
+    throw new NetpbmParseError(message, { offset })
+  }
+
+  const skipWhitespaceAndComments = () => {
+    while (index < bytes.length) {
+      const code = bytes[index]
+      if (WHITESPACE_CODES.has(code)) {
+        index += 1
+        continue
+      }
+      if (code === 35) {
+        const commentStart = index + 1
+        while (index < bytes.length && bytes[index] !== 10 && bytes[index] !== 13) {
+          index += 1
+        }
+        addComment(commentStart, index)
+        continue
+      }
+      break
+    }
+  }
+
+  // Binary rasters start after a single whitespace byte: raster bytes 9, 10, 13 and 32 are samples,
+  // not more whitespace. A CR LF pair and comment lines (# and printable bytes up to a line break) are
+  // also accepted, but only while the raster still fits in the rest of the file after them.
+  const skipHeaderSeparator = (rasterLength) => {
+    const separatorStart = index
+    const fitsAfter = (offset) => bytes.length - offset >= rasterLength
+    const skipLineBreak = () => {
+      const code = bytes[index]
+      index += 1
+      if (code === 13 && bytes[index] === 10 && fitsAfter(index + 1)) index += 1
+    }
+    if (index < bytes.length && WHITESPACE_CODES.has(bytes[index])) skipLineBreak()
+    while (bytes[index] === 35) {
+      let lookahead = index + 1
+      let sawNewline = false
+      let isComment = true
+      while (lookahead < bytes.length) {
+        const la = bytes[lookahead]
+        if (la === 10 || la === 13) {
+          sawNewline = true
+          break
+        }
+        if (la !== 9 && (la < 32 || la > 126)) {
+          isComment = false
+          break
+        }
+        lookahead += 1
+      }
+      if (!isComment || !sawNewline || !fitsAfter(lookahead + 1)) break
+      addComment(index + 1, lookahead)
+      index = lookahead
+      skipLineBreak()
+    }
+    addSegment('separator', separatorStart, index)
+  }
+
+  const readToken = () => {
+    skipWhitespaceAndComments()
+    if (index >= bytes.length) return null
+    tokenStart = index
+    while (index < bytes.length) {
+      const code = bytes[index]
+      if (WHITESPACE_CODES.has(code) || code === 35) break
+      index += 1
+    }
+    return decoder.decode(bytes.subarray(tokenStart, index))
+  }
+
+  const readTrailingBit = () => {
+    skipWhitespaceAndComments()
+    if (index >= bytes.length) return null
+    tokenStart = index
+    index += 1
+    return String.fromCharCode(bytes[tokenStart])
+  }
+
+  // P1 samples are single digits and may be written without separating whitespace.
+  const readBit = () => {
+    skipWhitespaceAndComments()
+    if (index >= bytes.length) return null
+    tokenStart = index
+    const code = bytes[index]
+    index += 1
+    if (code !== 48 && code !== 49) {
+      fail('Encountered a value other than 0 or 1 in bitmap data', tokenStart, String.fromCharCode(code))
+    }
+    return code - 48
+  }
+
+  // PAM headers are line based: "KEYWORD value" pairs terminated by an ENDHDR line.
+  const readPamHeader = () => {
+    const fields = {}
+    const offsets = {}
+    const tupleTypes = []
+    while (index < bytes.length) {
+      let lineEnd = index
+      while (lineEnd < bytes.length && bytes[lineEnd] !== 10) {
+        lineEnd += 1
+      }
+      const lineStart = index
+      const line = decoder.decode(bytes.subarray(index, lineEnd)).trim()
+      index = lineEnd + 1
+      if (!line) continue
+      if (line.startsWith('#')) {
+        if (!line.startsWith(NOTE_MARKER, 1)) comments.push(line.slice(1).trim())
+        addSegment('comment', lineStart, lineEnd)
+        continue
+      }
+      const [keyword, ...rest] = line.split(/\s+/)
+      if (keyword === 'ENDHDR' || keyword === 'TUPLTYPE' || PAM_HEADER_FIELDS.has(keyword)) {
+        addSegment(keyword.toLowerCase(), lineStart, lineEnd)
+      }
+      if (keyword === 'ENDHDR') {
+        return { fields: { ...fields, TUPLTYPE: tupleTypes.join(' ') }, offsets }
+      }
+      if (keyword === 'TUPLTYPE') {
+        tupleTypes.push(rest.join(' '))
+        offsets.TUPLTYPE = lineStart
+        continue
+      }
+      if (!PAM_HEADER_FIELDS.has(keyword)) {
+        fail(`Unknown PAM header keyword: ${keyword}`, lineStart, keyword)
+      }
+      fields[keyword] = rest[0]
+      offsets[keyword] = lineStart
+    }
+    return fail('PAM header is missing ENDHDR', bytes.length)
+  }
+
+  const readHeaderToken = (kind) => {
+    const token = readToken()
+    if (token !== null) addSegment(kind, tokenStart, index)
+    return [token, token === null ? index : tokenStart]
+  }
+
+  const parseHeaderNumber = (token, offset, label) => {
+    if (token == null) {
+      fail(`Header is incomplete: missing ${label}`, offset)
+    }
+    if (!DECIMAL_PATTERN.test(token)) {
+      fail(`${label[0].toUpperCase()}${label.slice(1)} is not a valid number`, offset, token)
+    }
+    return Number.parseInt(token, 10)
+  }
+
+  let width
+  let height
+  let headerMaxVal
+  let maxValOffset
+  let depth = getFormatDepth(magic)
+  let tupleType = ''
+  let dimensionsOffset
+
+  if (magic === 'P7') {
+    const { fields, offsets } = readPamHeader()
+    dimensionsOffset = offsets.WIDTH ?? index
+    width = parseHeaderNumber(fields.WIDTH, offsets.WIDTH ?? index, 'width')
+    height = parseHeaderNumber(fields.HEIGHT, offsets.HEIGHT ?? index, 'height')
+    depth = parseHeaderNumber(fields.DEPTH, offsets.DEPTH ?? index, 'depth')
+    headerMaxVal = parseHeaderNumber(fields.MAXVAL, offsets.MAXVAL ?? index, 'max value')
+    maxValOffset = offsets.MAXVAL
+    tupleType = fields.TUPLTYPE
+    if (depth < 1 || depth > 4) {
+      fail(`Unsupported PAM depth: ${depth}`, offsets.DEPTH, String(depth))
+    }
+    const expectedDepth = PAM_TUPLE_DEPTHS[tupleType]
+    if (expectedDepth !== undefined && expectedDepth !== depth) {
+      fail(`TUPLTYPE ${tupleType} requires depth ${expectedDepth}, header declares ${depth}`, offsets.TUPLTYPE, tupleType)
+    }
+  } else {
+    const [widthToken, widthOffset] = readHeaderToken('width')
+    dimensionsOffset = widthOffset
+    width = parseHeaderNumber(widthToken, widthOffset, 'width')
+    height = parseHeaderNumber(...readHeaderToken('height'), 'height')
+    if (isBitmapFormat(magic)) {
+      headerMaxVal = 1
+    } else {
+      const [maxValToken, offset] = readHeaderToken('maxval')
+      maxValOffset = offset
+      headerMaxVal = parseHeaderNumber(maxValToken, offset, 'max value')
+    }
+  }
+
+  if (width <= 0 || height <= 0) {
+    fail('Width and height must be greater than zero', start + 2)
+  }
+  if (headerMaxVal <= 0) {
+    fail('Max value must be greater than zero', maxValOffset, String(headerMaxVal))
+  }
+  if (headerMaxVal > 65535) {
+    fail('Max value must not exceed 65535', maxValOffset, String(headerMaxVal))
+  }
+
+  const sampleCount = width * height * depth
+  const dimensionsLabel = `${width} × ${height}${depth > 1 ? ` × ${depth}` : ''}`
+  const bytesPerSample = headerMaxVal > 255 ? 2 : 1
+  // The raster length is checked before any buffer is allocated, so a header that promises more than
+  // the file holds fails instead of allocating gigabytes. ASCII samples take at least one character.
+  let rasterOffset = null
+  if (ASCII_FORMATS.has(magic)) {
+    if (sampleCount > bytes.length - index) {
+      fail(
+        `Image size ${dimensionsLabel} needs at least ${sampleCount} characters of pixel data, found ${bytes.length - index}`,
+        dimensionsOffset,
+        String(width),
+      )
+    }
+  } else {
+    // P4 rows are packed MSB first and padded to a whole byte.
+    const rasterLength = magic === 'P4' ? Math.ceil(width / 8) * height : sampleCount * bytesPerSample
+    if (magic !== 'P7') {
+      skipHeaderSeparator(rasterLength)
+    }
+    rasterOffset = index
+    if (bytes.length - index < rasterLength) {
+      failBinary(`Pixel data is shorter than expected: needs ${rasterLength} bytes, found ${bytes.length - index}`, index)
+    }
+  }
+  // Samples keep their original depth (up to 16 bits); the RGBA buffer below is derived for display.
+  const samples = new Uint16Array(sampleCount)
+  let clampedCount = 0
+  let firstClampedOffset = null
+  let firstClampedToken = null
+
+  const reportProgress = (i, offset) => {
+    if (onProgress && (i & PROGRESS_INTERVAL_MASK) === 0) onProgress(offset / bytes.length)
+  }
+
+  const storeSample = (i, rawValue, offset) => {
+    reportProgress(i, offset)
+    if (rawValue > headerMaxVal) {
+      if (clampedCount === 0) {
+        firstClampedOffset = offset
+        firstClampedToken = String(rawValue)
+      }
+      clampedCount += 1
+    }
+    samples[i] = clampSample(rawValue, headerMaxVal)
+  }
+
+  const failEndOfData = (found) =>
+    fail(
+      `Unexpected end of file while reading pixel data: expected ${sampleCount} samples (${dimensionsLabel}), found ${found}`,
+      bytes.length,
+    )
+
+  if (magic === 'P1') {
+    for (let i = 0; i < sampleCount; i += 1) {
+      const bit = readBit()
+      if (bit === null) failEndOfData(i)
+      reportProgress(i, index)
+      samples[i] = bit
+    }
+  } else if (magic === 'P2' || magic === 'P3') {
+    for (let i = 0; i < sampleCount; i += 1) {
+      const token = readToken()
+      if (token === null) failEndOfData(i)
+      if (!DECIMAL_PATTERN.test(token)) {
+        fail('Encountered a non-numeric value in pixel data', tokenStart, token)
+      }
+      storeSample(i, Number.parseInt(token, 10), tokenStart)
+    }
+  } else if (magic === 'P4') {
+    const rowBytes = Math.ceil(width / 8)
+    for (let y = 0; y < height; y += 1) {
+      const rowStart = index + y * rowBytes
+      for (let x = 0; x < width; x += 1) {
+        samples[y * width + x] = (bytes[rowStart + (x >> 3)] >> (7 - (x & 7))) & 1
+      }
+    }
+    index += rowBytes * height
+  } else {
+    const neededLength = sampleCount * bytesPerSample
+    let readOffset = 0
+    const pixelBytes = bytes.subarray(index, index + neededLength)
+    for (let i = 0; i < sampleCount; i += 1) {
+      let rawValue
+      if (bytesPerSample === 1) {
+        rawValue = pixelBytes[readOffset]
+        readOffset += 1
+      } else {
+        rawValue = (pixelBytes[readOffset] << 8) + pixelBytes[readOffset + 1]
+        readOffset += 2
+      }
+      storeSample(i, rawValue, index + readOffset - bytesPerSample)
+    }
+    index += neededLength
+  }
+
+  const warnings = []
+  if (clampedCount > 0) {
+    const isAscii = magic === 'P2' || magic === 'P3'
+    warnings.push(
+      createParseIssue(
+        clampedCount === 1
+          ? `1 sample exceeds the max value ${headerMaxVal} and was clamped`
+          : `${clampedCount} samples exceed the max value ${headerMaxVal} and were clamped`,
+        isAscii ? { ...locateOffset(bytes, firstClampedOffset), token: firstClampedToken } : { offset: firstClampedOffset },
+      ),
+    )
+  }
+  if (ASCII_FORMATS.has(magic)) {
+    let extraCount = 0
+    let firstExtra = null
+    for (;;) {
+      const token = magic === 'P1' ? readTrailingBit() : readToken()
+      if (token === null) break
+      extraCount += 1
+      if (!firstExtra) {
+        firstExtra = { ...locateOffset(bytes, tokenStart), token }
+      }
+    }
+    if (extraCount > 0) {
+      warnings.push(
+        createParseIssue(
+          `${extraCount} extra value${extraCount === 1 ? '' : 's'} after the ${dimensionsLabel} pixel data — check the width and height`,
+          firstExtra,
+        ),
+      )
+    }
+  }
+
+  const image = {
+    format: magic,
+    width,
+    height,
+    depth,
+    tupleType,
+    maxVal: 255,
+    sourceMaxVal: headerMaxVal,
+    samples,
+    data: buildDisplayData({ format: magic, width, height, depth, samples, sourceMaxVal: headerMaxVal }),
+    warnings,
+    comments,
+    offset: start,
+    byteLength: index - start,
+    // Where each header field and the raster sit in the file, for binary formats only.
+    layout: BINARY_FORMATS.has(magic)
+      ? {
+          format: magic,
+          offset: start,
+          width,
+          height,
+          depth,
+          bytesPerSample: headerMaxVal > 255 ? 2 : 1,
+          rasterOffset,
+          rasterLength: index - rasterOffset,
+          segments,
+        }
+      : null,
+  }
+  return { image, end: index }
+}
+
+// Portable Float Map: "PF" (RGB) or "Pf" (gray), width and height, then a scale whose sign gives
+// the byte order (negative means little-endian), one whitespace byte and 32-bit float samples.
+// Rows are stored bottom to top; they are flipped so `samples` runs top to bottom like every other
+// image. Non-finite samples are replaced by 0 with a warning.
+const parsePfm = (bytes, onProgress) => {
+  const magic = readMagic(bytes)
+  const depth = magic === 'PF' ? 3 : 1
+  const decoder = new TextDecoder('ascii')
+  let index = 2
+
+  const fail = (message, offset, token = null) => {
+    throw new NetpbmParseError(message, { ...locateOffset(bytes, offset), token })
+  }
+
+  const readHeaderToken = (label) => {
+    while (index < bytes.length && WHITESPACE_CODES.has(bytes[index])) {
+      index += 1
+    }
+    const tokenStart = index
+    while (index < bytes.length && !WHITESPACE_CODES.has(bytes[index])) {
+      index += 1
+    }
+    if (tokenStart === index) fail(`Header is incomplete: missing ${label}`, tokenStart)
+    return [decoder.decode(bytes.subarray(tokenStart, index)), tokenStart]
+  }
+
+  const readDimension = (label) => {
+    const [token, offset] = readHeaderToken(label)
+    if (!DECIMAL_PATTERN.test(token)) {
+      fail(`${label[0].toUpperCase()}${label.slice(1)} is not a valid number`, offset, token)
+    }
+    const value = Number.parseInt(token, 10)
+    if (value <= 0) fail('Width and height must be greater than zero', offset, token)
+    return value
+  }
+
+  const width = readDimension('width')
+  const height = readDimension('height')
+  const [scaleToken, scaleOffset] = readHeaderToken('scale')
+  const scale = Number(scaleToken)
+  if (!FLOAT_PATTERN.test(scaleToken) || scale === 0) {
+    fail('Scale must be a non-zero number', scaleOffset, scaleToken)
+  }
+  if (!WHITESPACE_CODES.has(bytes[index])) fail('Header is incomplete: missing the raster', index)
+  index += 1
+
+  const sampleCount = width * height * depth
+  const rasterLength = sampleCount * 4
+  if (bytes.length - index < rasterLength) {
+    throw new NetpbmParseError(
+      `Pixel data is shorter than expected: needs ${rasterLength} bytes, found ${bytes.length - index}`,
+      { offset: index },
+    )
+  }
+  const littleEndian = scale < 0
+  const view = new DataView(bytes.buffer, bytes.byteOffset + index, rasterLength)
+  const samples = new Float32Array(sampleCount)
+  const rowLength = width * depth
+  let nonFiniteCount = 0
+  let firstNonFiniteOffset = null
+  for (let row = 0; row < height; row += 1) {
+    const targetRow = (height - 1 - row) * rowLength
+    for (let i = 0; i < rowLength; i += 1) {
+      const readOffset = (row * rowLength + i) * 4
+      if (onProgress && ((row * rowLength + i) & PROGRESS_INTERVAL_MASK) === 0) {
+        onProgress((index + readOffset) / bytes.length)
+      }
+      const value = view.getFloat32(readOffset, littleEndian)
+      if (!Number.isFinite(value)) {
+        if (nonFiniteCount === 0) firstNonFiniteOffset = index + readOffset
+        nonFiniteCount += 1
+      }
+      samples[targetRow + i] = Number.isFinite(value) ? value : 0
+    }
+  }
+
+  const warnings = []
+  if (nonFiniteCount > 0) {
+    const subject = nonFiniteCount === 1 ? '1 sample is' : `${nonFiniteCount} samples are`
+    warnings.push(createParseIssue(`${subject} not a finite number, replaced by 0`, { offset: firstNonFiniteOffset }))
+  }
+  const end = index + rasterLength
+  if (end < bytes.length) {
+    const trailing = bytes.length - end
+    warnings.push(
+      createParseIssue(`${trailing} trailing byte${trailing === 1 ? '' : 's'} after the raster`, { offset: end }),
+    )
+  }
+
+  const image = {
+    format: magic,
+    width,
+    height,
+    depth,
+    tupleType: '',
+    maxVal: 255,
+    sourceMaxVal: null,
+    isFloat: true,
+    scale: Math.abs(scale),
+    littleEndian,
+    samples,
+    data: toneMapFloat({ width, height, depth, samples }),
+    warnings,
+    comments: [],
+    offset: 0,
+    byteLength: end,
+    layout: null,
+  }
+  return { ...image, frames: [image] }
+}
+
+// Minimal Netpbm parser supporting P1/P2/P3 (ASCII), P4/P5/P6 (binary), P7 (PAM) and PF/Pf (PFM) variants.
+// onProgress receives the decoded fraction of the raster now and then, for progress bars.
+// Binary formats may hold several images back to back (e.g. captured sequences). The result is the
+// first image, with every image of the stream, first included, in `frames`. Plain formats hold
+// exactly one image.
+export const parseNetpbm = (buffer, { onProgress } = {}) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+  if (bytes.length < 3) {
+    throw new NetpbmParseError('File is too small to be a valid Netpbm image', { offset: 0 })
+  }
+
+  if (!isNetpbmMagic(bytes)) {
+    return null
+  }
+  if (isPfmMagic(bytes)) {
+    return parsePfm(bytes, onProgress)
+  }
+
+  const frames = []
+  let index = 0
+  for (;;) {
+    const { image, end } = parseImageAt(bytes, index, onProgress)
+    frames.push(image)
+    index = end
+    if (ASCII_FORMATS.has(image.format)) break
+    // Writers differ on whether a newline separates consecutive images, so whitespace is tolerated.
+    let next = index
+    while (next < bytes.length && WHITESPACE_CODES.has(bytes[next])) {
+      next += 1
+    }
+    if (next + 1 >= bytes.length || !BINARY_FORMATS.has(String.fromCharCode(bytes[next], bytes[next + 1]))) break
+    index = next
+  }
+
+  const [first] = frames
+  if (!ASCII_FORMATS.has(first.format) && index < bytes.length) {
+    const trailing = bytes.length - index
+    first.warnings.push(
+      createParseIssue(
+        `${trailing} trailing byte${trailing === 1 ? '' : 's'} after the ${frames.length === 1 ? 'raster' : 'last image'}`,
+        { offset: index },
+      ),
+    )
+  }
+  return { ...first, frames }
+}
+
+// Checks a file without throwing. Parse errors come back in `errors` with their location; for a
+// valid file the header fields of the first image are included.
+export const validateNetpbm = (buffer) => {
+  let image
+  try {
+    image = parseNetpbm(buffer)
+  } catch (parseError) {
+    if (!(parseError instanceof NetpbmParseError)) throw parseError
+    return { valid: false, errors: [createParseIssue(parseError.reason, parseError)], warnings: [] }
+  }
+  if (!image) {
+    const error = createParseIssue('Missing a P1–P7, PF or Pf magic number', { offset: 0 })
+    return { valid: false, errors: [error], warnings: [] }
+  }
+  const { format, width, height, depth, tupleType, sourceMaxVal, frames } = image
+  return {
+    valid: true,
+    format,
+    width,
+    height,
+    depth,
+    tupleType,
+    maxVal: sourceMaxVal,
+    ...(image.isFloat && { scale: image.scale, littleEndian: image.littleEndian }),
+    frameCount: frames.length,
+    errors: [],
+    warnings: frames.flatMap((frame) => frame.warnings),
+  }
+}
+
+// Number of sample tokens the editable text holds; alpha is not written.
+export const getTextSampleCount = ({ width, height, depth }) => width * height * (isColorDepth(depth) ? 3 : 1)
+
+// Large images can be cut to their first rows with maxSamples; the result is then not a complete
+// image any more and should only be shown read-only.
+// Formatting options: rowPerLine writes one image row per line instead of wrapping every 20 samples
+// (4 pixels for P3), groupPixels puts two spaces between P3 pixels, alignColumns pads every sample to
+// the width of the max value. With comments off no comment lines are written except the truncation
+// notes; notes off skips the generated description but keeps the image's own `comments`. Every
+// generated line is a `#:` note, which parsing leaves out of `comments`.
+export const generateNetpbmText = (
+  { format, width, height, samples, sourceMaxVal, depth, comments: imageComments = [] },
+  {
+    maxSamples = Infinity,
+    onProgress,
+    rowPerLine = false,
+    groupPixels = false,
+    alignColumns = false,
+    comments = true,
+    notes = true,
+  } = {},
+) => {
+  const asciiFormat = getEditableFormat({ format, depth })
+  const isBitmap = asciiFormat === 'P1'
+  const isColor = asciiFormat === 'P3'
+  const lines = [`${asciiFormat}`]
+  const note = (text) => `#${NOTE_MARKER} ${text}`
+
+  if (comments && notes) {
+    let sourceDescriptor = 'ASCII Netpbm'
+    if (format === 'P7') {
+      sourceDescriptor = 'PAM'
+    } else if (format === 'P4' || format === 'P5' || format === 'P6') {
+      sourceDescriptor = 'binary Netpbm'
+    }
+    lines.push(note(`Source format: ${format} (${sourceDescriptor})`))
+    if (isBitmap) {
+      lines.push(note('Bitmap: 1 is black, 0 is white'))
+    } else {
+      lines.push(note(`Max value: ${sourceMaxVal}`))
+    }
+    if (hasAlphaDepth(depth)) {
+      lines.push(note('Alpha channel is not part of P2/P3 text — editing makes the image opaque'))
+    }
+  }
+  if (comments) {
+    imageComments.forEach((comment) => lines.push(comment ? `# ${comment}` : '#'))
+  }
+
+  lines.push(`${width} ${height}`)
+  if (!isBitmap) {
+    lines.push(String(sourceMaxVal))
+  }
+
+  const colorChannels = isColor ? 3 : 1
+  const shownRows = Math.min(height, Math.max(1, Math.floor(maxSamples / (width * colorChannels))))
+  if (shownRows < height) {
+    lines.splice(lines.length - (isBitmap ? 1 : 2), 0, note(`Truncated: showing the first ${shownRows} of ${height} rows`))
+  }
+
+  // Alpha samples (PAM depth 2/4) are skipped since P2/P3 have no place for them.
+  const sampleWidth = alignColumns ? String(isBitmap ? 1 : sourceMaxVal).length : 0
+  const pixelSeparator = groupPixels && isColor ? '  ' : ' '
+  const pixelsPerLine = rowPerLine ? width : isColor ? 4 : 20
+  const totalPixels = width * shownRows
+  let line = []
+  for (let i = 0; i < totalPixels; i += 1) {
+    const base = i * depth
+    const values = []
+    for (let channel = 0; channel < colorChannels; channel += 1) {
+      values.push(String(samples[base + channel]).padStart(sampleWidth))
+    }
+    line.push(values.join(' '))
+    // Rows restart the wrapping so every line holds pixels of a single row when rowPerLine is set.
+    const column = rowPerLine ? (i % width) + 1 : line.length
+    if (column === pixelsPerLine || i === totalPixels - 1) {
+      lines.push(line.join(pixelSeparator))
+      line = []
+    }
+    if (onProgress && (i & PROGRESS_INTERVAL_MASK) === 0) onProgress(i / totalPixels)
+  }
+  if (shownRows < height) {
+    lines.push(note(`… ${height - shownRows} more rows not shown`))
+  }
+
+  return lines.join('\n')
+}
+
+export const parseNetpbmText = (text) => {
+  const encoder = new TextEncoder()
+  const buffer = encoder.encode(text).buffer
+  const parsed = parseNetpbm(buffer)
+  if (!parsed) {
+    throw new NetpbmParseError('Input is not a valid Netpbm file', { offset: 0, line: 1, column: 1, token: text.slice(0, 2) })
+  }
+  if (!ASCII_FORMATS.has(parsed.format)) {
+    throw new NetpbmParseError(`Editable representation requires P1, P2 or P3 format, received ${parsed.format}`, {
+      offset: 0,
+      line: 1,
+      column: 1,
+      token: parsed.format,
+    })
+  }
+  return parsed
+}
+
+// Locates every sample token of a P1/P2/P3 text so single pixels can be rewritten in place,
+// keeping comments and the user's formatting. Returns null while the text is incomplete.
+export const indexNetpbmTextTokens = (text) => {
+  const format = text.slice(0, 2)
+  if (format !== 'P1' && format !== 'P2' && format !== 'P3') return null
+  let index = 2
+
+  const skipWhitespaceAndComments = () => {
+    while (index < text.length) {
+      const code = text.charCodeAt(index)
+      if (WHITESPACE_CODES.has(code)) {
+        index += 1
+        continue
+      }
+      if (code === 35) {
+        while (index < text.length && text[index] !== '\n' && text[index] !== '\r') {
+          index += 1
+        }
+        continue
+      }
+      break
+    }
+  }
+
+  const readToken = (singleCharacter = false) => {
+    skipWhitespaceAndComments()
+    if (index >= text.length) return null
+    const start = index
+    if (singleCharacter) {
+      index += 1
+      return start
+    }
+    while (index < text.length) {
+      const code = text.charCodeAt(index)
+      if (WHITESPACE_CODES.has(code) || code === 35) break
+      index += 1
+    }
+    return start
+  }
+
+  const headerTokens = []
+  const headerLength = format === 'P1' ? 2 : 3
+  for (let i = 0; i < headerLength; i += 1) {
+    const start = readToken()
+    if (start === null) return null
+    headerTokens.push(Number.parseInt(text.slice(start, index), 10))
+  }
+  const [width, height] = headerTokens
+  if (!(width > 0) || !(height > 0)) return null
+
+  const channels = format === 'P3' ? 3 : 1
+  const count = width * height * channels
+  // Every sample takes at least one character, so a header promising more than the rest of the text
+  // holds cannot be complete; checking first keeps a mistyped header from allocating huge buffers.
+  if (count > text.length - index) return null
+  const starts = new Int32Array(count)
+  const ends = new Int32Array(count)
+  for (let i = 0; i < count; i += 1) {
+    const start = readToken(format === 'P1')
+    if (start === null) return null
+    starts[i] = start
+    ends[i] = index
+  }
+  return { format, width, height, channels, starts, ends }
+}
+
+// Syntax highlighting of P1/P2/P3 text as [start, end) spans of a kind: magic, comment, header
+// (width, height, max value), sample, out-of-range (above the max value, or not 0/1 in P1), invalid
+// (not a number) and extra (past the last pixel). Neighbouring tokens of the same kind share a span,
+// whitespace included, so typical text needs only a few spans. Text that does not start with P1, P2
+// or P3 is a single invalid span.
+export const highlightNetpbmText = (text) => {
+  const spans = []
+  const push = (start, end, kind) => {
+    const last = spans[spans.length - 1]
+    if (last && last.kind === kind) {
+      last.end = end
+    } else {
+      spans.push({ start, end, kind })
+    }
+  }
+
+  const format = text.slice(0, 2)
+  if (!ASCII_FORMATS.has(format)) {
+    return text ? [{ start: 0, end: text.length, kind: 'invalid' }] : []
+  }
+  push(0, 2, 'magic')
+  const headerLength = format === 'P1' ? 2 : 3
+  const header = []
+  let sampleCount = Infinity
+  let limit = Infinity
+  let samplesSeen = 0
+  let index = 2
+  while (index < text.length) {
+    const code = text.charCodeAt(index)
+    if (WHITESPACE_CODES.has(code)) {
+      index += 1
+      continue
+    }
+    const start = index
+    if (code === 35) {
+      while (index < text.length && text[index] !== '\n' && text[index] !== '\r') {
+        index += 1
+      }
+      push(start, index, 'comment')
+      continue
+    }
+    // P1 samples are single digits that may be written without whitespace between them.
+    if (format === 'P1' && header.length === headerLength) {
+      index += 1
+    } else {
+      while (index < text.length && !WHITESPACE_CODES.has(text.charCodeAt(index)) && text[index] !== '#') {
+        index += 1
+      }
+    }
+    const token = text.slice(start, index)
+    if (header.length < headerLength) {
+      header.push(Number.parseInt(token, 10))
+      push(start, index, DECIMAL_PATTERN.test(token) ? 'header' : 'invalid')
+      if (header.length === headerLength) {
+        const [width, height, maxVal = 1] = header
+        sampleCount = width * height * (format === 'P3' ? 3 : 1)
+        limit = maxVal
+      }
+    } else {
+      let kind = 'sample'
+      if (samplesSeen >= sampleCount) kind = 'extra'
+      else if (!DECIMAL_PATTERN.test(token)) kind = format === 'P1' ? 'out-of-range' : 'invalid'
+      else if (Number.parseInt(token, 10) > limit) kind = 'out-of-range'
+      samplesSeen += 1
+      push(start, index, kind)
+    }
+  }
+  return spans
+}
+
+// Returns the sample token under a caret offset, or null when the caret sits in the header.
+export const findTokenAt = (tokenIndex, offset) => {
+  const { starts, ends } = tokenIndex
+  let low = 0
+  let high = starts.length - 1
+  let found = -1
+  while (low <= high) {
+    const middle = (low + high) >> 1
+    if (starts[middle] <= offset) {
+      found = middle
+      low = middle + 1
+    } else {
+      high = middle - 1
+    }
+  }
+  if (found === -1 || offset > ends[found]) return null
+  return found
+}
+
+// Rewrites sample tokens and shifts the offsets of every following token in place.
+export const replaceSampleTokens = (text, tokenIndex, replacements) => {
+  const sorted = [...replacements].sort((a, b) => a.token - b.token)
+  const { starts, ends } = tokenIndex
+  const parts = []
+  let cursor = 0
+  sorted.forEach(({ token, value }) => {
+    parts.push(text.slice(cursor, starts[token]), value)
+    cursor = ends[token]
+  })
+  parts.push(text.slice(cursor))
+
+  let shift = 0
+  let next = 0
+  for (let token = sorted[0].token; token < starts.length; token += 1) {
+    starts[token] += shift
+    if (next < sorted.length && sorted[next].token === token) {
+      shift += sorted[next].value.length - (ends[token] - starts[token] + shift)
+      next += 1
+    }
+    ends[token] += shift
+    if (next === sorted.length && shift === 0) break
+  }
+  return parts.join('')
+}
+
+// Re-derives the RGBA display value of one pixel after its samples changed.
+export const updateDisplayPixel = ({ format, depth, samples, sourceMaxVal, data }, pixel) => {
+  const sampleBase = pixel * depth
+  const base = pixel * 4
+  if (isColorDepth(depth)) {
+    data[base] = displaySample(samples[sampleBase], sourceMaxVal, format)
+    data[base + 1] = displaySample(samples[sampleBase + 1], sourceMaxVal, format)
+    data[base + 2] = displaySample(samples[sampleBase + 2], sourceMaxVal, format)
+  } else {
+    const gray = displaySample(samples[sampleBase], sourceMaxVal, format)
+    data[base] = gray
+    data[base + 1] = gray
+    data[base + 2] = gray
+  }
+}
+
+const getPamTupleType = (depth, maxVal) => {
+  if (depth === 1) return maxVal === 1 ? 'BLACKANDWHITE' : 'GRAYSCALE'
+  if (depth === 2) return maxVal === 1 ? 'BLACKANDWHITE_ALPHA' : 'GRAYSCALE_ALPHA'
+  return depth === 3 ? 'RGB' : 'RGB_ALPHA'
+}
+
+// Resamples an image to another channel layout and max value. Color to gray uses Rec. 601 luma.
+export const convertSamples = ({ format, width, height, depth, samples, sourceMaxVal }, targetDepth, targetMaxVal) => {
+  const isBitmap = isBitmapFormat(format)
+  const sourceIsColor = isColorDepth(depth)
+  const sourceHasAlpha = hasAlphaDepth(depth)
+  const toUnit = (value) => (isBitmap ? 1 - value : value / sourceMaxVal)
+  const scale = (unit) => Math.round(unit * targetMaxVal)
+  const output = new Uint16Array(width * height * targetDepth)
+  for (let i = 0; i < width * height; i += 1) {
+    const base = i * depth
+    const r = toUnit(samples[base])
+    const g = sourceIsColor ? toUnit(samples[base + 1]) : r
+    const b = sourceIsColor ? toUnit(samples[base + 2]) : r
+    const target = i * targetDepth
+    if (isColorDepth(targetDepth)) {
+      output[target] = scale(r)
+      output[target + 1] = scale(g)
+      output[target + 2] = scale(b)
+    } else {
+      output[target] = scale(0.299 * r + 0.587 * g + 0.114 * b)
+    }
+    if (hasAlphaDepth(targetDepth)) {
+      output[target + targetDepth - 1] = sourceHasAlpha ? scale(samples[base + depth - 1] / sourceMaxVal) : targetMaxVal
+    }
+  }
+  return output
+}
+
+const wrapAsciiTokens = (tokens, separator = ' ') => {
+  const lines = []
+  let line = ''
+  tokens.forEach((token) => {
+    if (line && line.length + separator.length + token.length > ASCII_LINE_LIMIT) {
+      lines.push(line)
+      line = token
+    } else {
+      line = line ? `${line}${separator}${token}` : token
+    }
+  })
+  if (line) lines.push(line)
+  return lines
+}
+
+// Encodes an image as any Netpbm variant. Bitmaps threshold at half intensity; PAM keeps alpha.
+export const encodeNetpbm = (image, { format, maxVal = image.sourceMaxVal }) => {
+  if (image.isFloat) {
+    throw new Error('PFM images hold float samples; tone-map them (toneMapFloat) before writing Netpbm')
+  }
+  const { width, height } = image
+  const textEncoder = new TextEncoder()
+  if (isBitmapFormat(format)) {
+    const gray = convertSamples(image, 1, 255)
+    const bits = Array.from(gray, (value) => (value < 128 ? 1 : 0))
+    if (format === 'P1') {
+      const lines = [format, `${width} ${height}`]
+      for (let y = 0; y < height; y += 1) {
+        lines.push(...wrapAsciiTokens(bits.slice(y * width, (y + 1) * width).map(String)))
+      }
+      return textEncoder.encode(`${lines.join('\n')}\n`)
+    }
+    const rowBytes = Math.ceil(width / 8)
+    const header = textEncoder.encode(`${format}\n${width} ${height}\n`)
+    const output = new Uint8Array(header.length + rowBytes * height)
+    output.set(header)
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        if (bits[y * width + x]) {
+          output[header.length + y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7)
+        }
+      }
+    }
+    return output
+  }
+
+  if (!Number.isInteger(maxVal) || maxVal < 1 || maxVal > 65535) {
+    throw new Error('Max value must be an integer between 1 and 65535')
+  }
+  let targetDepth = getFormatDepth(format)
+  if (format === 'P7') {
+    targetDepth = image.depth
+  }
+  const samples = convertSamples(image, targetDepth, maxVal)
+
+  if (format === 'P2' || format === 'P3') {
+    const lines = [format, `${width} ${height}`, String(maxVal)]
+    const rowLength = width * targetDepth
+    for (let y = 0; y < height; y += 1) {
+      lines.push(...wrapAsciiTokens(Array.from(samples.subarray(y * rowLength, (y + 1) * rowLength), String)))
+    }
+    return textEncoder.encode(`${lines.join('\n')}\n`)
+  }
+
+  const headerText =
+    format === 'P7'
+      ? `P7\nWIDTH ${width}\nHEIGHT ${height}\nDEPTH ${targetDepth}\nMAXVAL ${maxVal}\nTUPLTYPE ${getPamTupleType(targetDepth, maxVal)}\nENDHDR\n`
+      : `${format}\n${width} ${height}\n${maxVal}\n`
+  const header = textEncoder.encode(headerText)
+  const bytesPerSample = maxVal > 255 ? 2 : 1
+  const output = new Uint8Array(header.length + samples.length * bytesPerSample)
+  output.set(header)
+  for (let i = 0, offset = header.length; i < samples.length; i += 1) {
+    if (bytesPerSample === 1) {
+      output[offset] = samples[i]
+      offset += 1
+    } else {
+      output[offset] = samples[i] >> 8
+      output[offset + 1] = samples[i] & 0xff
+      offset += 2
+    }
+  }
+  return output
+}
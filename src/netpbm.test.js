@@ -0,0 +1,563 @@
+import { describe, expect, it } from 'vitest'
+import {
+  encodeNetpbm,
+  findTokenAt,
+  generateNetpbmText,
+  highlightNetpbmText,
+  indexNetpbmTextTokens,
+  NetpbmParseError,
+  normalizeSample,
+  parseNetpbm,
+  parseNetpbmText,
+  replaceSampleTokens,
+  toneMapFloat,
+  validateNetpbm,
+} from './netpbm'
+
+const bytesOf = (...parts) => {
+  const encoder = new TextEncoder()
+  const chunks = parts.map((part) => (typeof part === 'string' ? encoder.encode(part) : Uint8Array.from(part)))
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0))
+  chunks.reduce((offset, chunk) => {
+    output.set(chunk, offset)
+    return offset + chunk.length
+  }, 0)
+  return output
+}
+
+const parseError = (input) => {
+  try {
+    if (typeof input === 'string') parseNetpbmText(input)
+    else parseNetpbm(input)
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected the input to be rejected')
+}
+
+describe('normalizeSample', () => {
+  it('scales samples to the 0–255 range', () => {
+    expect(normalizeSample(255, 255)).toBe(255)
+    expect(normalizeSample(1, 1)).toBe(255)
+    expect(normalizeSample(32768, 65535)).toBe(128)
+  })
+
+  it('rejects a max value of zero', () => {
+    expect(() => normalizeSample(0, 0)).toThrow('Max value must be greater than zero')
+  })
+})
+
+describe('parseNetpbm', () => {
+  it('decodes every plain and raw format', () => {
+    expect(parseNetpbmText('P1\n2 1\n1 0\n').samples).toEqual(Uint16Array.of(1, 0))
+    expect(parseNetpbmText('P2\n2 1\n9\n3 9\n').samples).toEqual(Uint16Array.of(3, 9))
+    expect(parseNetpbmText('P3\n1 1\n255\n1 2 3\n').samples).toEqual(Uint16Array.of(1, 2, 3))
+    expect(parseNetpbm(bytesOf('P4\n9 1\n', [0b10000000, 0b10000000])).samples).toEqual(
+      Uint16Array.of(1, 0, 0, 0, 0, 0, 0, 0, 1),
+    )
+    expect(parseNetpbm(bytesOf('P5\n2 1\n255\n', [7, 200])).samples).toEqual(Uint16Array.of(7, 200))
+    expect(parseNetpbm(bytesOf('P6\n1 1\n255\n', [1, 2, 3])).samples).toEqual(Uint16Array.of(1, 2, 3))
+  })
+
+  it('decodes PAM with its tuple type and alpha', () => {
+    const image = parseNetpbm(
+      bytesOf('P7\nWIDTH 1\nHEIGHT 1\nDEPTH 2\nMAXVAL 255\nTUPLTYPE GRAYSCALE_ALPHA\nENDHDR\n', [50, 128]),
+    )
+    expect(image).toMatchObject({ format: 'P7', depth: 2, tupleType: 'GRAYSCALE_ALPHA' })
+    expect(Array.from(image.data)).toEqual([50, 50, 50, 128])
+  })
+
+  it('inverts bitmap bits for display', () => {
+    expect(Array.from(parseNetpbmText('P1\n2 1\n10').data)).toEqual([0, 0, 0, 255, 255, 255, 255, 255])
+  })
+
+  it('returns null for data without a Netpbm magic number', () => {
+    expect(parseNetpbm(bytesOf('GIF89a'))).toBeNull()
+  })
+
+  it('rejects files too small to hold a header', () => {
+    expect(parseError(bytesOf('P1'))).toBeInstanceOf(NetpbmParseError)
+  })
+
+  it('reads P1 digits without separators', () => {
+    expect(parseNetpbmText('P1\n4 1\n0110').samples).toEqual(Uint16Array.of(0, 1, 1, 0))
+  })
+
+  it('reads several images of a raw stream as frames', () => {
+    const image = parseNetpbm(bytesOf('P5\n1 1\n255\n', [1], '\nP5\n1 1\n255\n', [2]))
+    expect(image.frames.map((frame) => frame.samples[0])).toEqual([1, 2])
+    expect(image.frames[1].offset).toBe(13)
+  })
+
+  it('warns about bytes after the last raw image', () => {
+    const image = parseNetpbm(bytesOf('P5\n1 1\n255\n', [1, 0, 0]))
+    expect(image.warnings.map((warning) => warning.message)).toEqual(['2 trailing bytes after the raster'])
+  })
+})
+
+describe('comments', () => {
+  it('are allowed between any header tokens', () => {
+    const image = parseNetpbmText('P2\n# made by hand\n2 # width\n# height next\n1\n# max\n9\n1 2\n')
+    expect(image).toMatchObject({ width: 2, height: 1, sourceMaxVal: 9 })
+  })
+
+  it('may follow the magic number and tokens without whitespace', () => {
+    expect(parseNetpbmText('P2# comment\n1#w\n1 9#max\n4').samples).toEqual(Uint16Array.of(4))
+  })
+
+  it('may sit among plain samples', () => {
+    expect(parseNetpbmText('P2\n3 1\n9\n1 # first\n2\n# row end\n3').samples).toEqual(Uint16Array.of(1, 2, 3))
+  })
+
+  it('may end with a carriage return', () => {
+    expect(parseNetpbmText('P2\r\n# windows\r\n1 1\r\n9\r\n5\r\n').samples).toEqual(Uint16Array.of(5))
+  })
+
+  it('are collected without their # marker', () => {
+    expect(parseNetpbmText('P2\n# made by hand\n1 1 #size\n9\n4 # pixel\n').comments).toEqual([
+      'made by hand',
+      'size',
+      'pixel',
+    ])
+    expect(parseNetpbm(bytesOf('P5\n1 1\n255\n# before raster\n', [7])).comments).toEqual(['before raster'])
+    expect(parseNetpbm(bytesOf('P7\n# pam\nWIDTH 1\nHEIGHT 1\nDEPTH 1\nMAXVAL 9\nENDHDR\n', [3])).comments).toEqual([
+      'pam',
+    ])
+  })
+
+  it('are skipped in PAM headers', () => {
+    const image = parseNetpbm(bytesOf('P7\n# note\nWIDTH 1\nHEIGHT 1\nDEPTH 1\nMAXVAL 9\n# more\nENDHDR\n', [3]))
+    expect(image.samples).toEqual(Uint16Array.of(3))
+  })
+})
+
+describe('the separator before a raw raster', () => {
+  it('skips a comment line after the max value', () => {
+    expect(parseNetpbm(bytesOf('P5\n1 1\n255\n# raster follows\n', [42])).samples).toEqual(Uint16Array.of(42))
+  })
+
+  it('treats a # that starts binary data as a sample', () => {
+    expect(parseNetpbm(bytesOf('P5\n2 1\n255\n', [35, 0])).samples).toEqual(Uint16Array.of(35, 0))
+  })
+
+  it('treats a # without a following line break as a sample', () => {
+    expect(parseNetpbm(bytesOf('P5\n3 1\n255\n', [35, 65, 66])).samples).toEqual(Uint16Array.of(35, 65, 66))
+  })
+
+  it('treats a # followed by non-printable bytes before a line break as a sample', () => {
+    expect(parseNetpbm(bytesOf('P5\n3 1\n255\n', [35, 1, 10])).samples).toEqual(Uint16Array.of(35, 1, 10))
+  })
+
+  it('accepts any whitespace after the max value', () => {
+    expect(parseNetpbm(bytesOf('P5 1 1 255\t', [66])).samples).toEqual(Uint16Array.of(66))
+    expect(parseNetpbm(bytesOf('P5\n1 1\n255\r\n', [65])).samples).toEqual(Uint16Array.of(65))
+  })
+
+  it('applies to bitmaps too', () => {
+    expect(parseNetpbm(bytesOf('P4\n1 1\n# bit\n', [0x80])).samples).toEqual(Uint16Array.of(1))
+  })
+
+  it('is a single byte, so whitespace bytes at the start of the raster stay samples', () => {
+    for (const value of [9, 10, 13, 32]) {
+      expect(parseNetpbm(bytesOf('P5\n2 1\n255\n', [value, 7])).samples).toEqual(Uint16Array.of(value, 7))
+    }
+    expect(parseNetpbm(bytesOf('P6\n1 1\n255\r', [10, 32, 9])).samples).toEqual(Uint16Array.of(10, 32, 9))
+  })
+
+  it('keeps every frame of a stream aligned when rasters start with whitespace bytes', () => {
+    const image = parseNetpbm(bytesOf('P5\n2 1\n255\n', [10, 1], 'P5\n2 1\n255\n', [9, 2], 'P5\n1 1\n255\n', [32]))
+    expect(image.frames.map((frame) => Array.from(frame.samples))).toEqual([[10, 1], [9, 2], [32]])
+    expect(image.warnings).toEqual([])
+  })
+
+  it('only skips a comment line when the raster still fits after it', () => {
+    const raster = [35, 32, 10, 5]
+    expect(parseNetpbm(bytesOf('P5\n4 1\n255\n', raster)).samples).toEqual(Uint16Array.from(raster))
+  })
+})
+
+describe('layout', () => {
+  it('records where the header fields and raster of a binary image sit', () => {
+    const { layout } = parseNetpbm(bytesOf('P5\n# hi\n2 1\n255\n', [1, 2]))
+    expect(layout).toMatchObject({ format: 'P5', offset: 0, rasterOffset: 16, rasterLength: 2, bytesPerSample: 1 })
+    expect(layout.segments).toEqual([
+      { kind: 'magic', start: 0, end: 2 },
+      { kind: 'comment', start: 3, end: 7 },
+      { kind: 'width', start: 8, end: 9 },
+      { kind: 'height', start: 10, end: 11 },
+      { kind: 'maxval', start: 12, end: 15 },
+      { kind: 'separator', start: 15, end: 16 },
+    ])
+  })
+
+  it('is left out for plain formats', () => {
+    expect(parseNetpbmText('P2\n1 1\n9\n4').layout).toBeNull()
+  })
+})
+
+describe('16-bit samples', () => {
+  it('reads two big-endian bytes per raw sample above max value 255', () => {
+    const image = parseNetpbm(bytesOf('P5\n2 1\n65535\n', [0x12, 0x34, 0xff, 0xff]))
+    expect(image.samples).toEqual(Uint16Array.of(0x1234, 0xffff))
+    expect(image.sourceMaxVal).toBe(65535)
+  })
+
+  it('reads plain samples up to 65535', () => {
+    const image = parseNetpbmText('P3\n1 1\n65535\n65535 32768 0\n')
+    expect(image.samples).toEqual(Uint16Array.of(65535, 32768, 0))
+    expect(Array.from(image.data)).toEqual([255, 128, 0, 255])
+  })
+
+  it('clamps samples above the max value with a warning', () => {
+    const image = parseNetpbmText('P2\n2 1\n1000\n1001 5\n')
+    expect(image.samples).toEqual(Uint16Array.of(1000, 5))
+    expect(image.warnings[0]).toMatchObject({ line: 4, column: 1, token: '1001' })
+    expect(image.warnings[0].message).toBe('1 sample exceeds the max value 1000 and was clamped')
+    expect(parseNetpbmText('P2\n2 1\n9\n10 11\n').warnings[0].message).toBe(
+      '2 samples exceed the max value 9 and were clamped',
+    )
+  })
+})
+
+describe('truncated files', () => {
+  it('report how many plain samples were found', () => {
+    const error = parseError('P2\n2 2\n9\n1 2 3')
+    expect(error.reason).toBe('Unexpected end of file while reading pixel data: expected 4 samples (2 × 2), found 3')
+  })
+
+  it('report a short raw raster with its byte offset', () => {
+    const error = parseError(bytesOf('P6\n2 1\n255\n', [1, 2, 3]))
+    expect(error.reason).toBe('Pixel data is shorter than expected: needs 6 bytes, found 3')
+    expect(error.offset).toBe(11)
+    expect(error.line).toBeNull()
+  })
+
+  it('report a short 16-bit raster', () => {
+    expect(parseError(bytesOf('P5\n2 1\n65535\n', [0, 1, 2])).reason).toBe(
+      'Pixel data is shorter than expected: needs 4 bytes, found 3',
+    )
+  })
+
+  it('report a header cut short', () => {
+    expect(parseError('P2\n4').reason).toBe('Header is incomplete: missing height')
+    expect(parseError('P3\n4 4').reason).toBe('Header is incomplete: missing max value')
+  })
+
+  it('reject huge dimensions before allocating the raster', () => {
+    const binary = parseError(bytesOf('P5\n100000 100000\n255\n', [1]))
+    expect(binary).toBeInstanceOf(NetpbmParseError)
+    expect(binary.reason).toBe('Pixel data is shorter than expected: needs 10000000000 bytes, found 1')
+    expect(validateNetpbm(bytesOf('P5\n100000 100000\n255\n', [1])).valid).toBe(false)
+
+    const ascii = parseError('P2\n100000 100000\n255\n1 2 3')
+    expect(ascii).toMatchObject({
+      reason: 'Image size 100000 × 100000 needs at least 10000000000 characters of pixel data, found 6',
+      line: 2,
+      column: 1,
+      token: '100000',
+    })
+  })
+})
+
+describe('malformed headers', () => {
+  it('point at a non-numeric dimension', () => {
+    const error = parseError('P2\n4 x\n9\n')
+    expect(error).toMatchObject({ reason: 'Height is not a valid number', line: 2, column: 3, token: 'x' })
+  })
+
+  it('reject zero dimensions', () => {
+    expect(parseError('P2\n0 1\n9\n').reason).toBe('Width and height must be greater than zero')
+  })
+
+  it('reject max values outside 1–65535', () => {
+    expect(parseError('P2\n1 1\n0\n0').reason).toBe('Max value must be greater than zero')
+    expect(parseError('P2\n1 1\n65536\n0').reason).toBe('Max value must not exceed 65535')
+  })
+
+  it('reject negative and fractional numbers', () => {
+    expect(parseError('P2\n-1 1\n9\n').reason).toBe('Width is not a valid number')
+    expect(parseError('P2\n1 1\n9.5\n').reason).toBe('Max value is not a valid number')
+  })
+
+  it('reject non-numeric and non-bit samples', () => {
+    expect(parseError('P2\n2 1\n9\n1 a').token).toBe('a')
+    expect(parseError('P1\n2 1\n1 2').reason).toBe('Encountered a value other than 0 or 1 in bitmap data')
+  })
+
+  it('reject an incomplete or unknown PAM header', () => {
+    expect(parseError(bytesOf('P7\nWIDTH 1\nHEIGHT 1\n')).reason).toBe('PAM header is missing ENDHDR')
+    expect(parseError(bytesOf('P7\nWIDE 1\nENDHDR\n')).reason).toBe('Unknown PAM header keyword: WIDE')
+    expect(parseError(bytesOf('P7\nWIDTH 1\nHEIGHT 1\nMAXVAL 255\nENDHDR\n')).reason).toBe(
+      'Header is incomplete: missing depth',
+    )
+  })
+
+  it('reject a PAM tuple type that contradicts the depth', () => {
+    const error = parseError(bytesOf('P7\nWIDTH 1\nHEIGHT 1\nDEPTH 1\nMAXVAL 255\nTUPLTYPE RGB\nENDHDR\n', [0]))
+    expect(error.reason).toBe('TUPLTYPE RGB requires depth 3, header declares 1')
+  })
+
+  it('reject binary formats as editable text', () => {
+    expect(parseError('P5\n1 1\n255\nA').reason).toBe(
+      'Editable representation requires P1, P2 or P3 format, received P5',
+    )
+  })
+})
+
+describe('encodeNetpbm', () => {
+  const source = parseNetpbmText('P3\n2 2\n255\n255 0 0  0 255 0\n0 0 255  255 255 255\n')
+
+  it.each(['P1', 'P2', 'P3', 'P4', 'P5', 'P6', 'P7'])('writes %s that parses back', (format) => {
+    const image = parseNetpbm(encodeNetpbm(source, { format }))
+    expect(image).toMatchObject({ format, width: 2, height: 2 })
+  })
+
+  it('keeps color samples through ASCII and binary round trips', () => {
+    expect(parseNetpbm(encodeNetpbm(source, { format: 'P3' })).samples).toEqual(source.samples)
+    expect(parseNetpbm(encodeNetpbm(source, { format: 'P6' })).samples).toEqual(source.samples)
+  })
+
+  it('rescales to any max value, including 16-bit', () => {
+    const image = parseNetpbm(encodeNetpbm(source, { format: 'P6', maxVal: 65535 }))
+    expect(image.sourceMaxVal).toBe(65535)
+    expect(Array.from(image.samples.subarray(0, 3))).toEqual([65535, 0, 0])
+    expect(parseNetpbm(encodeNetpbm(source, { format: 'P2', maxVal: 7 })).samples).toEqual(Uint16Array.of(2, 4, 1, 7))
+  })
+
+  it('thresholds bitmaps at half intensity', () => {
+    expect(parseNetpbm(encodeNetpbm(source, { format: 'P4' })).samples).toEqual(Uint16Array.of(1, 0, 1, 0))
+  })
+
+  it('rejects invalid max values', () => {
+    expect(() => encodeNetpbm(source, { format: 'P5', maxVal: 0 })).toThrow('between 1 and 65535')
+    expect(() => encodeNetpbm(source, { format: 'P5', maxVal: 70000 })).toThrow('between 1 and 65535')
+  })
+
+  it('wraps plain rows at 70 characters', () => {
+    const wide = { ...source, width: 40, height: 1, samples: new Uint16Array(120).fill(255) }
+    const text = new TextDecoder().decode(encodeNetpbm(wide, { format: 'P3' }))
+    expect(text.split('\n').every((line) => line.length <= 70)).toBe(true)
+    expect(parseNetpbmText(text).samples).toEqual(wide.samples)
+  })
+})
+
+describe('generateNetpbmText', () => {
+  it('produces text that parses back to the same samples', () => {
+    const image = parseNetpbm(bytesOf('P5\n3 2\n1000\n', [0, 1, 0, 2, 3, 231, 0, 0, 0, 9, 0, 10]))
+    const text = generateNetpbmText(image)
+    expect(text.startsWith('P2\n#: Source format: P5 (binary Netpbm)')).toBe(true)
+    expect(parseNetpbmText(text).samples).toEqual(image.samples)
+  })
+
+  it('marks truncated text', () => {
+    const image = parseNetpbmText('P2\n2 3\n9\n1 2 3 4 5 6\n')
+    expect(generateNetpbmText(image, { maxSamples: 2 })).toContain('#: Truncated: showing the first 1 of 3 rows')
+  })
+
+  it('writes one aligned row per line with grouped pixels', () => {
+    const image = parseNetpbmText('P3\n# from a test\n2 2\n100\n1 2 3 40 50 60 100 0 7 8 9 10\n')
+    const text = generateNetpbmText(image, { rowPerLine: true, groupPixels: true, alignColumns: true, notes: false })
+    expect(text).toBe('P3\n# from a test\n2 2\n100\n  1   2   3   40  50  60\n100   0   7    8   9  10')
+    expect(parseNetpbmText(text).samples).toEqual(image.samples)
+  })
+
+  it('keeps the image comments of regenerated text without repeating its notes', () => {
+    const text = generateNetpbmText(parseNetpbmText('P2\n# scanned\n1 1\n9\n5\n'))
+    expect(text).toBe('P2\n#: Source format: P2 (ASCII Netpbm)\n#: Max value: 9\n# scanned\n1 1\n9\n5')
+    expect(generateNetpbmText(parseNetpbmText(text))).toBe(text)
+  })
+
+  it('keeps image comments that read like generated notes', () => {
+    const text = generateNetpbmText(parseNetpbmText('P2\n# Max value: raised by hand\n1 1\n9\n5\n'))
+    expect(parseNetpbmText(text).comments).toEqual(['Max value: raised by hand'])
+    expect(generateNetpbmText(parseNetpbmText(text))).toBe(text)
+  })
+
+  it('drops every comment when asked', () => {
+    const image = parseNetpbmText('P2\n# note\n1 1\n9\n5\n')
+    expect(generateNetpbmText(image, { comments: false })).toBe('P2\n1 1\n9\n5')
+  })
+})
+
+describe('highlightNetpbmText', () => {
+  const kinds = (text) => highlightNetpbmText(text).map(({ start, end, kind }) => [text.slice(start, end), kind])
+
+  it('merges neighbouring tokens and marks out-of-range and extra samples', () => {
+    expect(kinds('P2 # gray\n3 1\n9\n0 4 12 7\n')).toEqual([
+      ['P2', 'magic'],
+      ['# gray', 'comment'],
+      ['3 1\n9', 'header'],
+      ['0 4', 'sample'],
+      ['12', 'out-of-range'],
+      ['7', 'extra'],
+    ])
+  })
+
+  it('reads packed P1 digits one at a time', () => {
+    expect(kinds('P1\n3 1\n102')).toEqual([
+      ['P1', 'magic'],
+      ['3 1', 'header'],
+      ['10', 'sample'],
+      ['2', 'out-of-range'],
+    ])
+  })
+
+  it('flags non-numeric tokens and unknown magic numbers', () => {
+    expect(kinds('P2\n1 1\n9\nx')[2]).toEqual(['x', 'invalid'])
+    expect(kinds('P5\n1 1')).toEqual([['P5\n1 1', 'invalid']])
+  })
+})
+
+const floatBytes = (values, littleEndian) => {
+  const view = new DataView(new ArrayBuffer(values.length * 4))
+  values.forEach((value, i) => view.setFloat32(i * 4, value, littleEndian))
+  return new Uint8Array(view.buffer)
+}
+
+describe('sample token index', () => {
+  const text = 'P2\n# made by hand\n3 1\n# max\n255\n7 # seven\n100 12\n'
+  const tokensOf = (source, { starts, ends }) => Array.from(starts, (start, i) => source.slice(start, ends[i]))
+
+  it('finds every sample token past comments', () => {
+    const tokenIndex = indexNetpbmTextTokens(text)
+    expect(tokenIndex).toMatchObject({ format: 'P2', width: 3, height: 1, channels: 1 })
+    expect(tokensOf(text, tokenIndex)).toEqual(['7', '100', '12'])
+  })
+
+  it('reads packed P1 digits as separate tokens', () => {
+    expect(tokensOf('P1\n3 1\n101', indexNetpbmTextTokens('P1\n3 1\n101'))).toEqual(['1', '0', '1'])
+  })
+
+  it('returns null for incomplete or non-plain text', () => {
+    expect(indexNetpbmTextTokens('P2\n3 1\n255\n7 100')).toBeNull()
+    expect(indexNetpbmTextTokens('P2\n3')).toBeNull()
+    expect(indexNetpbmTextTokens('P5\n1 1\n255\n')).toBeNull()
+  })
+
+  it('returns null for headers the text cannot fill, before allocating', () => {
+    expect(indexNetpbmTextTokens('P2 100000 100000 255 1 2 3')).toBeNull()
+    expect(indexNetpbmTextTokens('P2\n0 1\n255\n')).toBeNull()
+    expect(indexNetpbmTextTokens('P1\n-1 2\n0 1')).toBeNull()
+  })
+
+  it('maps caret offsets to tokens, start and end included', () => {
+    const tokenIndex = indexNetpbmTextTokens(text)
+    const hundred = text.indexOf('100')
+    expect(findTokenAt(tokenIndex, hundred)).toBe(1)
+    expect(findTokenAt(tokenIndex, hundred + 1)).toBe(1)
+    expect(findTokenAt(tokenIndex, hundred + 3)).toBe(1)
+  })
+
+  it('finds no token in the header, in comments or outside the text', () => {
+    const tokenIndex = indexNetpbmTextTokens(text)
+    expect(findTokenAt(tokenIndex, 0)).toBeNull()
+    expect(findTokenAt(tokenIndex, text.indexOf('255'))).toBeNull()
+    expect(findTokenAt(tokenIndex, text.indexOf('seven'))).toBeNull()
+    expect(findTokenAt(tokenIndex, -1)).toBeNull()
+    expect(findTokenAt(tokenIndex, text.length + 5)).toBeNull()
+  })
+
+  it('rewrites tokens of any length and shifts the offsets after them', () => {
+    const tokenIndex = indexNetpbmTextTokens(text)
+    const next = replaceSampleTokens(text, tokenIndex, [
+      { token: 2, value: '3' },
+      { token: 0, value: '255' },
+    ])
+    expect(next).toBe('P2\n# made by hand\n3 1\n# max\n255\n255 # seven\n100 3\n')
+    expect(tokenIndex.starts).toEqual(indexNetpbmTextTokens(next).starts)
+    expect(tokenIndex.ends).toEqual(indexNetpbmTextTokens(next).ends)
+    expect(tokensOf(next, tokenIndex)).toEqual(['255', '100', '3'])
+  })
+})
+
+describe('PFM', () => {
+  it('flips the bottom-to-top rows of a little-endian gray map', () => {
+    const image = parseNetpbm(bytesOf('Pf\n2 2\n-1.0\n', floatBytes([0.25, 0.5, 1.5, 2], true)))
+    expect(image).toMatchObject({ format: 'Pf', width: 2, height: 2, depth: 1, isFloat: true, littleEndian: true })
+    expect(image.scale).toBe(1)
+    expect(image.samples).toEqual(Float32Array.of(1.5, 2, 0.25, 0.5))
+    expect(image.warnings).toEqual([])
+  })
+
+  it('reads big-endian RGB when the scale is positive', () => {
+    const image = parseNetpbm(bytesOf('PF\n1 1\n4\n', floatBytes([0.125, 3, -1], false)))
+    expect(image.littleEndian).toBe(false)
+    expect(image.scale).toBe(4)
+    expect(image.samples).toEqual(Float32Array.of(0.125, 3, -1))
+    expect(Array.from(image.data)).toEqual([32, 255, 0, 255])
+  })
+
+  it('replaces non-finite samples and reports trailing bytes', () => {
+    const image = parseNetpbm(bytesOf('Pf\n2 1\n-1\n', floatBytes([Number.NaN, 1], true), [0]))
+    expect(image.samples).toEqual(Float32Array.of(0, 1))
+    expect(image.warnings.map((warning) => warning.message)).toEqual([
+      '1 sample is not a finite number, replaced by 0',
+      '1 trailing byte after the raster',
+    ])
+  })
+
+  it('cannot be written as integer Netpbm', () => {
+    const image = parseNetpbm(bytesOf('Pf\n1 1\n-1\n', floatBytes([0.5], true)))
+    expect(() => encodeNetpbm(image, { format: 'P5', maxVal: 255 })).toThrow('PFM images hold float samples')
+    expect(() => encodeNetpbm(image, { format: 'P2' })).toThrow('PFM images hold float samples')
+  })
+
+  it('rejects a zero scale and short rasters', () => {
+    expect(parseError(bytesOf('Pf\n1 1\n0\n', floatBytes([1], true))).reason).toBe('Scale must be a non-zero number')
+    expect(parseError(bytesOf('PF\n2 1\n-1\n', floatBytes([1, 1, 1], true))).reason).toBe(
+      'Pixel data is shorter than expected: needs 24 bytes, found 12',
+    )
+  })
+
+  it('validates with the scale and byte order', () => {
+    expect(validateNetpbm(bytesOf('Pf\n1 1\n-2.5\n', floatBytes([1], true)))).toMatchObject({
+      valid: true,
+      format: 'Pf',
+      maxVal: null,
+      scale: 2.5,
+      littleEndian: true,
+    })
+  })
+})
+
+describe('toneMapFloat', () => {
+  const image = { width: 3, height: 1, depth: 1, samples: Float32Array.of(0.25, 1, 3) }
+  const grays = (options) => Array.from(toneMapFloat(image, options)).filter((_, i) => i % 4 === 0)
+
+  it('applies exposure in stops before the operator', () => {
+    expect(grays()).toEqual([64, 255, 255])
+    expect(grays({ exposure: -2 })).toEqual([16, 64, 191])
+  })
+
+  it('compresses highlights with Reinhard and brightens with gamma', () => {
+    expect(grays({ toneMapping: 'reinhard' })).toEqual([51, 128, 191])
+    expect(grays({ toneMapping: 'gamma' })).toEqual([136, 255, 255])
+  })
+})
+
+describe('validateNetpbm', () => {
+  it('summarizes a valid file', () => {
+    expect(validateNetpbm(bytesOf('P5\n2 1\n255\n', [1, 2, 3]))).toMatchObject({
+      valid: true,
+      format: 'P5',
+      width: 2,
+      height: 1,
+      maxVal: 255,
+      frameCount: 1,
+      errors: [],
+      warnings: [{ message: '1 trailing byte after the raster', offset: 13 }],
+    })
+  })
+
+  it('returns parse errors with their location instead of throwing', () => {
+    expect(validateNetpbm(bytesOf('P2\n2 x\n9\n'))).toEqual({
+      valid: false,
+      errors: [{ message: 'Height is not a valid number', offset: 5, line: 2, column: 3, token: 'x' }],
+      warnings: [],
+    })
+  })
+
+  it('flags data that is not Netpbm', () => {
+    expect(validateNetpbm(bytesOf('hello')).errors[0].message).toBe('Missing a P1–P7, PF or Pf magic number')
+  })
+})
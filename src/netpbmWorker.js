@@ -0,0 +1,73 @@
+import { generateNetpbmText, getTextSampleCount, NetpbmParseError, parseNetpbm } from './netpbm'
+
+// Decodes Netpbm files and builds their text off the main thread. Files are streamed so reading
+// can report progress; the page cancels a job by terminating the worker.
+
+const postProgress = (phase, progress) => {
+  self.postMessage({ type: 'progress', phase, progress })
+}
+
+const readFile = async (file) => {
+  const bytes = new Uint8Array(file.size)
+  const reader = file.stream().getReader()
+  let loaded = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    bytes.set(value, loaded)
+    loaded += value.length
+    postProgress('read', file.size ? loaded / file.size : 1)
+  }
+  return bytes.subarray(0, loaded)
+}
+
+// textFormat holds the formatting options of generateNetpbmText chosen in the editor.
+const decode = async ({ file, maxTextSamples, textFormat }) => {
+  const bytes = await readFile(file)
+  postProgress('parse', 0)
+  const image = parseNetpbm(bytes, { onProgress: (progress) => postProgress('parse', progress) })
+  if (!image) {
+    self.postMessage({ type: 'result', image: null })
+    return
+  }
+  // PFM images have no Netpbm text representation.
+  let text = ''
+  let truncated = false
+  if (!image.isFloat) {
+    postProgress('text', 0)
+    text = generateNetpbmText(image, {
+      ...textFormat,
+      maxSamples: maxTextSamples,
+      onProgress: (progress) => postProgress('text', progress),
+    })
+    truncated = getTextSampleCount(image) > maxTextSamples
+  }
+  // The first frame shares its buffers with the image itself; each buffer may be transferred once.
+  const buffers = new Set(image.frames.flatMap((frame) => [frame.samples.buffer, frame.data.buffer]))
+  self.postMessage({ type: 'result', image, text, truncated }, [...buffers])
+}
+
+const generateText = ({ image, textFormat }) => {
+  postProgress('text', 0)
+  const text = generateNetpbmText(image, { ...textFormat, onProgress: (progress) => postProgress('text', progress) })
+  self.postMessage({ type: 'text', text })
+}
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === 'decode') {
+      await decode(data)
+    } else if (data.type === 'generate-text') {
+      generateText(data)
+    }
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      message: error instanceof Error ? error.message : 'Unable to decode the image',
+      issue:
+        error instanceof NetpbmParseError
+          ? { reason: error.reason, offset: error.offset, line: error.line, column: error.column, token: error.token }
+          : null,
+    })
+  }
+}
@@ -0,0 +1,108 @@
+// Session autosave in IndexedDB and compressed share links in the URL hash.
+
+const DATABASE_NAME = 'interactive-pixmap-viewer'
+const STORE_NAME = 'sessions'
+const SESSION_KEY = 'current'
+const SHARE_PREFIX = '#share='
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const openDatabase = () => {
+  const request = indexedDB.open(DATABASE_NAME, 1)
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME)
+  }
+  return requestToPromise(request)
+}
+
+const transactionToPromise = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+
+const withStore = async (mode, run) => {
+  const database = await openDatabase()
+  try {
+    return await run(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+  } finally {
+    database.close()
+  }
+}
+
+// The session record lists its images by key, along with their light per-image state; the samples
+// and text of each image live in a record of their own, so an autosave only rewrites the images
+// passed in `changedImages` ({ key, record }). Records of images no longer listed are deleted.
+export const saveSession = (session, changedImages) =>
+  withStore('readwrite', (store) => {
+    const keys = new Set(session.images.map(({ key }) => key))
+    changedImages.forEach(({ key, record }) => store.put(record, key))
+    store.put(session, SESSION_KEY)
+    store.getAllKeys().onsuccess = (event) => {
+      event.target.result.forEach((key) => {
+        if (key !== SESSION_KEY && !keys.has(key)) store.delete(key)
+      })
+    }
+    return transactionToPromise(store.transaction)
+  })
+
+// Returns the saved session with every image record merged into its entry; images whose record is
+// missing are left out.
+export const loadSession = () =>
+  withStore('readonly', async (store) => {
+    const session = await requestToPromise(store.get(SESSION_KEY))
+    if (!Array.isArray(session?.images)) return session
+    const records = await Promise.all(session.images.map(({ key }) => requestToPromise(store.get(key))))
+    const images = session.images.flatMap(({ key, ...state }, index) =>
+      records[index] ? [{ ...records[index], ...state }] : [],
+    )
+    return { ...session, images }
+  })
+
+const toBase64Url = (bytes) => {
+  let binary = ''
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, (character) => character.charCodeAt(0))
+}
+
+const pipeBytes = async (bytes, transform) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+// Builds the hash for a share link: the name and Netpbm text as deflated, base64url encoded JSON.
+export const createShareHash = async ({ name, text }) => {
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error('This browser cannot create share links')
+  }
+  const json = new TextEncoder().encode(JSON.stringify({ name, text }))
+  return `${SHARE_PREFIX}${toBase64Url(await pipeBytes(json, new CompressionStream('deflate-raw')))}`
+}
+
+export const isShareHash = (hash) => hash.startsWith(SHARE_PREFIX)
+
+export const readShareHash = async (hash) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot open share links')
+  }
+  try {
+    const bytes = await pipeBytes(fromBase64Url(hash.slice(SHARE_PREFIX.length)), new DecompressionStream('deflate-raw'))
+    const { name, text } = JSON.parse(new TextDecoder().decode(bytes))
+    if (typeof text !== 'string') throw new Error('missing text')
+    return { name: typeof name === 'string' && name ? name : 'shared.pnm', text }
+  } catch (shareError) {
+    throw new Error('The share link is damaged or incomplete')
+  }
+}
@@ -0,0 +1,125 @@
+import { buildDisplayData } from './netpbm'
+
+// Geometry operations on decoded Netpbm images. Each returns a new image with fresh sample and
+// display buffers and keeps the format, depth and max value of its input.
+
+export const RESIZE_METHODS = [
+  { value: 'nearest', label: 'Nearest neighbour' },
+  { value: 'bilinear', label: 'Bilinear' },
+  { value: 'bicubic', label: 'Bicubic' },
+]
+
+const withSamples = (image, width, height, samples) => ({
+  ...image,
+  width,
+  height,
+  samples,
+  data: buildDisplayData({ ...image, width, height, samples }),
+})
+
+// Builds an image by copying, for every target pixel, the source pixel that mapSource returns.
+const remapPixels = (image, width, height, mapSource) => {
+  const { depth, samples } = image
+  const output = new Uint16Array(width * height * depth)
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [sourceX, sourceY] = mapSource(x, y)
+      const from = (sourceY * image.width + sourceX) * depth
+      output.set(samples.subarray(from, from + depth), (y * width + x) * depth)
+    }
+  }
+  return withSamples(image, width, height, output)
+}
+
+export const cropImage = (image, { x, y, width, height }) =>
+  remapPixels(image, width, height, (targetX, targetY) => [x + targetX, y + targetY])
+
+// Rotates clockwise by a multiple of 90 degrees.
+export const rotateImage = (image, degrees) => {
+  const { width, height } = image
+  const turns = (((degrees / 90) % 4) + 4) % 4
+  if (turns === 1) return remapPixels(image, height, width, (x, y) => [y, height - 1 - x])
+  if (turns === 2) return remapPixels(image, width, height, (x, y) => [width - 1 - x, height - 1 - y])
+  if (turns === 3) return remapPixels(image, height, width, (x, y) => [width - 1 - y, x])
+  return remapPixels(image, width, height, (x, y) => [x, y])
+}
+
+export const flipImage = (image, axis) => {
+  const { width, height } = image
+  return axis === 'horizontal'
+    ? remapPixels(image, width, height, (x, y) => [width - 1 - x, y])
+    : remapPixels(image, width, height, (x, y) => [x, height - 1 - y])
+}
+
+// Adds a border; fill holds one sample per channel.
+export const padImage = (image, { top = 0, right = 0, bottom = 0, left = 0 }, fill) => {
+  const { depth, samples } = image
+  const width = image.width + left + right
+  const height = image.height + top + bottom
+  const output = new Uint16Array(width * height * depth)
+  for (let pixel = 0; pixel < width * height; pixel += 1) {
+    output.set(fill, pixel * depth)
+  }
+  const rowLength = image.width * depth
+  for (let y = 0; y < image.height; y += 1) {
+    output.set(samples.subarray(y * rowLength, (y + 1) * rowLength), ((y + top) * width + left) * depth)
+  }
+  return withSamples(image, width, height, output)
+}
+
+// Keys cubic convolution kernel with a = -0.5 (Catmull-Rom).
+const cubicWeight = (distance) => {
+  const t = Math.abs(distance)
+  if (t <= 1) return 1.5 * t ** 3 - 2.5 * t ** 2 + 1
+  if (t < 2) return -0.5 * t ** 3 + 2.5 * t ** 2 - 4 * t + 2
+  return 0
+}
+
+// Source pixels and weights contributing to each target coordinate along one axis. Sample centres
+// are aligned, and edge pixels are repeated beyond the border.
+const getAxisTaps = (sourceSize, targetSize, method) => {
+  const scale = sourceSize / targetSize
+  const clampIndex = (index) => Math.min(sourceSize - 1, Math.max(0, index))
+  return Array.from({ length: targetSize }, (_, target) => {
+    const center = (target + 0.5) * scale - 0.5
+    if (method === 'nearest') {
+      return [[clampIndex(Math.floor((target + 0.5) * scale)), 1]]
+    }
+    const base = Math.floor(center)
+    const fraction = center - base
+    if (method === 'bilinear') {
+      return [
+        [clampIndex(base), 1 - fraction],
+        [clampIndex(base + 1), fraction],
+      ]
+    }
+    return [-1, 0, 1, 2].map((offset) => [clampIndex(base + offset), cubicWeight(offset - fraction)])
+  })
+}
+
+export const resizeImage = (image, width, height, method = 'nearest') => {
+  const { depth, samples, sourceMaxVal } = image
+  const columns = getAxisTaps(image.width, width, method)
+  const rows = getAxisTaps(image.height, height, method)
+  const output = new Uint16Array(width * height * depth)
+  const values = new Float64Array(depth)
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      values.fill(0)
+      for (const [sourceY, rowWeight] of rows[y]) {
+        for (const [sourceX, columnWeight] of columns[x]) {
+          const weight = rowWeight * columnWeight
+          const from = (sourceY * image.width + sourceX) * depth
+          for (let channel = 0; channel < depth; channel += 1) {
+            values[channel] += samples[from + channel] * weight
+          }
+        }
+      }
+      const to = (y * width + x) * depth
+      for (let channel = 0; channel < depth; channel += 1) {
+        output[to + channel] = Math.min(sourceMaxVal, Math.max(0, Math.round(values[channel])))
+      }
+    }
+  }
+  return withSamples(image, width, height, output)
+}
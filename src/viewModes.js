@@ -0,0 +1,86 @@
+// Display-only transforms for the stage canvas. They read the decoded RGBA buffer and return a
+// new one, so the image data, the text and the picker keep seeing the original values.
+
+export const VIEW_MODES = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'red', label: 'Red channel', channel: 0, colorOnly: true },
+  { value: 'green', label: 'Green channel', channel: 1, colorOnly: true },
+  { value: 'blue', label: 'Blue channel', channel: 2, colorOnly: true },
+  { value: 'luminance', label: 'Luminance', colorOnly: true },
+  { value: 'invert', label: 'Inverted' },
+  { value: 'heatmap', label: 'Heatmap', grayOnly: true },
+]
+
+// Stops of the false-color ramp, from dark blue through green and yellow to red.
+const HEATMAP_STOPS = [
+  [0, [0, 0, 96]],
+  [0.25, [0, 96, 255]],
+  [0.5, [0, 200, 120]],
+  [0.75, [255, 210, 0]],
+  [1, [210, 0, 0]],
+]
+
+const HEATMAP_LUT = (() => {
+  const lut = new Uint8ClampedArray(256 * 3)
+  for (let value = 0; value < 256; value += 1) {
+    const t = value / 255
+    const upper = HEATMAP_STOPS.findIndex(([stop]) => stop >= t)
+    const [endStop, endColor] = HEATMAP_STOPS[upper]
+    const [startStop, startColor] = HEATMAP_STOPS[Math.max(0, upper - 1)]
+    const mix = endStop === startStop ? 0 : (t - startStop) / (endStop - startStop)
+    for (let channel = 0; channel < 3; channel += 1) {
+      lut[value * 3 + channel] = startColor[channel] + (endColor[channel] - startColor[channel]) * mix
+    }
+  }
+  return lut
+})()
+
+// Writes the false-color ramp entry for an 8-bit value into an RGB(A) buffer at base.
+export const writeHeatmapColor = (target, base, value) => {
+  const offset = value * 3
+  target[base] = HEATMAP_LUT[offset]
+  target[base + 1] = HEATMAP_LUT[offset + 1]
+  target[base + 2] = HEATMAP_LUT[offset + 2]
+}
+
+export const getViewMode = (value) => VIEW_MODES.find((mode) => mode.value === value) ?? VIEW_MODES[0]
+
+export const isViewModeAvailable = (value, isColor) => {
+  const mode = getViewMode(value)
+  return !(mode.colorOnly && !isColor) && !(mode.grayOnly && isColor)
+}
+
+// Returns the buffer to draw for a view mode. Alpha is always kept so transparency still shows.
+export const applyViewMode = (data, value, { tint = false } = {}) => {
+  const mode = getViewMode(value)
+  if (mode.value === 'normal') return data
+  const output = new Uint8ClampedArray(data.length)
+  for (let base = 0; base < data.length; base += 4) {
+    const red = data[base]
+    const green = data[base + 1]
+    const blue = data[base + 2]
+    if (mode.channel != null) {
+      const value = data[base + mode.channel]
+      if (tint) {
+        output[base + mode.channel] = value
+      } else {
+        output[base] = value
+        output[base + 1] = value
+        output[base + 2] = value
+      }
+    } else if (mode.value === 'luminance') {
+      const luma = 0.299 * red + 0.587 * green + 0.114 * blue
+      output[base] = luma
+      output[base + 1] = luma
+      output[base + 2] = luma
+    } else if (mode.value === 'invert') {
+      output[base] = 255 - red
+      output[base + 1] = 255 - green
+      output[base + 2] = 255 - blue
+    } else if (mode.value === 'heatmap') {
+      writeHeatmapColor(output, base, red)
+    }
+    output[base + 3] = data[base + 3]
+  }
+  return output
+}